@@ -0,0 +1,67 @@
+import { Box, Heading, Text, Button, Icon, expandRecord } from '@airtable/blocks/ui';
+import React, { useMemo } from 'react';
+import { getDataHealthChecks, findDataHealthIssues } from './dataHealth';
+
+/**
+ * Lists orphaned records and records missing report data, so data stewards can fix them
+ * before a report goes out. Clicking a record opens it in Airtable.
+ */
+export default function DataHealthView({ hierarchy, fieldIds, recordIndex, onDone }) {
+    const checks = getDataHealthChecks(hierarchy);
+    const issues = useMemo(
+        () => (recordIndex ? findDataHealthIssues(hierarchy, fieldIds, recordIndex) : null),
+        [hierarchy, fieldIds, recordIndex]
+    );
+
+    const issueCount = issues
+        ? checks.reduce((total, check) => total + issues[check.key].length, 0)
+        : 0;
+
+    return (
+        <Box padding={3} backgroundColor="lightGray1" minHeight="100vh" display="flex" justifyContent="center">
+            <Box maxWidth="800px" width="100%">
+                <Heading size="xlarge" marginBottom={2}>Data health</Heading>
+                <Text marginBottom={3} textColor="light">
+                    {!issues && 'Loading records…'}
+                    {issues && issueCount === 0 && 'No problems found. Every record can reach a report.'}
+                    {issues && issueCount > 0 && `${issueCount} problem${issueCount > 1 ? 's' : ''} found. Click a record to open and fix it.`}
+                </Text>
+
+                {issues && checks.filter(check => issues[check.key].length > 0).map(check => (
+                    <Box key={check.key} backgroundColor="white" padding={3} marginBottom={3} borderRadius="large">
+                        <Box display="flex" alignItems="center" marginBottom={2}>
+                            <Icon name="warning" size={16} fillColor="orange" marginRight={2} />
+                            <Heading size="small" marginBottom={0}>
+                                {check.label} ({issues[check.key].length})
+                            </Heading>
+                        </Box>
+                        <Box maxHeight="250px" overflow="auto">
+                            {issues[check.key].map(issue => (
+                                <Box
+                                    key={issue.record.id}
+                                    display="flex"
+                                    alignItems="center"
+                                    justifyContent="space-between"
+                                    paddingY={1}
+                                    borderTop="default"
+                                >
+                                    <Text>
+                                        {issue.record.name || 'Unnamed record'}
+                                        <Text as="span" size="small" textColor="light"> — {issue.detail}</Text>
+                                    </Text>
+                                    <Button size="small" variant="secondary" icon="expand" onClick={() => expandRecord(issue.record)}>
+                                        Open
+                                    </Button>
+                                </Box>
+                            ))}
+                        </Box>
+                    </Box>
+                ))}
+
+                <Button variant="primary" onClick={onDone}>
+                    Done
+                </Button>
+            </Box>
+        </Box>
+    );
+}
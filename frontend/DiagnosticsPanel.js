@@ -0,0 +1,41 @@
+import { Box, Heading, Text, Button, Icon } from '@airtable/blocks/ui';
+import React from 'react';
+
+/**
+ * Lists schema problems found by validateSchema, each with a suggested fix
+ */
+export default function DiagnosticsPanel({ issues, onOpenSettings }) {
+    if (issues.length === 0) return null;
+
+    return (
+        <Box
+            backgroundColor="white"
+            padding={3}
+            marginBottom={3}
+            borderRadius="large"
+            border="thick"
+            borderColor="red"
+        >
+            <Box display="flex" alignItems="center" marginBottom={2}>
+                <Icon name="warning" size={16} fillColor="red" marginRight={2} />
+                <Heading size="small" marginBottom={0}>
+                    {issues.length} schema problem{issues.length > 1 ? 's' : ''} must be fixed before reports can run
+                </Heading>
+            </Box>
+
+            {issues.map((issue, i) => (
+                <Box key={`${issue.key}-${i}`} paddingY={2} borderTop={i > 0 ? 'default' : undefined}>
+                    <Text fontWeight="strong">{issue.location}</Text>
+                    <Text>{issue.message}</Text>
+                    <Text size="small" textColor="light">Fix: {issue.fix}</Text>
+                </Box>
+            ))}
+
+            {onOpenSettings && (
+                <Button variant="secondary" marginTop={2} onClick={onOpenSettings}>
+                    Open settings
+                </Button>
+            )}
+        </Box>
+    );
+}
@@ -0,0 +1,54 @@
+import { Box, Label, FieldPicker, Select, Text } from '@airtable/blocks/ui';
+import { FieldType } from '@airtable/blocks/models';
+import React from 'react';
+
+// T/TA Sessions fields a dimension report can start from
+const DIMENSION_FIELD_TYPES = [
+    FieldType.MULTIPLE_RECORD_LINKS,
+    FieldType.SINGLE_SELECT,
+    FieldType.MULTIPLE_SELECTS,
+    FieldType.SINGLE_COLLABORATOR,
+    FieldType.MULTIPLE_COLLABORATORS,
+];
+
+/**
+ * Lets the user pick a field on T/TA Sessions and one of its values to report on,
+ * e.g. the Recipient field and one grantee. values comes from listDimensionValues.
+ */
+export default function DimensionPicker({ ttaSessionsTable, field, values, valueId, onFieldChange, onValueChange }) {
+    return (
+        <Box display="flex" flexDirection="row" alignItems="flex-end" marginRight="32px">
+            <Box display="flex" flexDirection="column" gap={1} minWidth="180px" marginRight={2}>
+                <Label htmlFor="dimensionField">T/TA session field</Label>
+                <FieldPicker
+                    id="dimensionField"
+                    table={ttaSessionsTable}
+                    field={field}
+                    allowedTypes={DIMENSION_FIELD_TYPES}
+                    placeholder="Pick a field..."
+                    onChange={newField => onFieldChange(newField ? newField.id : '')}
+                />
+            </Box>
+            <Box display="flex" flexDirection="column" gap={1} minWidth="180px">
+                <Label htmlFor="dimensionValue">Value</Label>
+                {field && values.length === 0 ? (
+                    <Text textColor="light" paddingY={2}>No sessions use this field yet.</Text>
+                ) : (
+                    <Select
+                        id="dimensionValue"
+                        disabled={!field}
+                        value={valueId || null}
+                        options={[
+                            { value: null, label: 'Pick a value...' },
+                            ...values.map(value => ({
+                                value: value.id,
+                                label: `${value.name} (${value.sessions} session${value.sessions === 1 ? '' : 's'})`,
+                            })),
+                        ]}
+                        onChange={newValueId => onValueChange(newValueId || '')}
+                    />
+                )}
+            </Box>
+        </Box>
+    );
+}
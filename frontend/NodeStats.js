@@ -0,0 +1,50 @@
+import { Box, Text } from '@airtable/blocks/ui';
+import React from 'react';
+import { formatDay } from './dateRange';
+
+/**
+ * Describes a node's roll-up stats (see buildReport) in one line
+ */
+export const describeStats = (stats) => {
+    const parts = [`${stats.activities} activities`, `${stats.sessions} T/TA sessions`];
+
+    if (stats.firstSessionDate) {
+        parts.push(stats.firstSessionDate === stats.lastSessionDate
+            ? `on ${formatDay(stats.firstSessionDate)}`
+            : `${formatDay(stats.firstSessionDate)} – ${formatDay(stats.lastSessionDate)}`);
+    }
+    if (stats.percentComplete !== null) {
+        parts.push(`${stats.percentComplete}% complete`);
+    }
+
+    return parts.join(' · ');
+};
+
+/**
+ * Shows the roll-up stats of a report tree: the whole report, then each record directly under it
+ */
+export default function NodeStats({ tree }) {
+    if (!tree || !tree.stats) return null;
+
+    const statusCounts = Object.entries(tree.stats.statusCounts);
+
+    return (
+        <Box marginTop={1}>
+            <Text>{describeStats(tree.stats)}</Text>
+            {statusCounts.length > 0 && (
+                <Text size="small" textColor="light">
+                    Status: {statusCounts.map(([status, count]) => `${status} ${count}`).join(', ')}
+                </Text>
+            )}
+            {tree.children.length > 0 && (
+                <Box marginTop={1} maxHeight="150px" overflow="auto">
+                    {tree.children.map(child => (
+                        <Text key={`${child.type}-${child.recordId}`} size="small">
+                            • {child.recordName}: {describeStats(child.stats)}
+                        </Text>
+                    ))}
+                </Box>
+            )}
+        </Box>
+    );
+}
@@ -0,0 +1,24 @@
+import { Box, Text, Icon } from '@airtable/blocks/ui';
+import React from 'react';
+
+/**
+ * Lists what fitPayloadToBudget removed to fit the report into the payload budget,
+ * so the user knows the report is based on partial data
+ */
+export default function PayloadReductions({ reductions }) {
+    if (reductions.length === 0) return null;
+
+    return (
+        <Box marginTop={2} padding={2} backgroundColor="yellowLight2" borderRadius="default">
+            <Box display="flex" alignItems="center">
+                <Icon name="warning" size={16} fillColor="orange" marginRight={2} />
+                <Text fontWeight="strong">The report is based on partial data, to fit the payload budget:</Text>
+            </Box>
+            {reductions.map((reduction, i) => (
+                <Text key={`${reduction.step}-${i}`} size="small">
+                    • {reduction.description}
+                </Text>
+            ))}
+        </Box>
+    );
+}
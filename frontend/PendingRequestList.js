@@ -0,0 +1,83 @@
+import { Box, Text, Button, expandRecord } from '@airtable/blocks/ui';
+import React, { useState, useEffect } from 'react';
+import { useReportRequest, useNow } from './ReportStatusTracker';
+import { REPORT_STALE_MS, getTimeSinceProgress, describeReportProgress } from './reportProgress';
+
+// How long a request can stay 'Uploading' before it counts as interrupted. Pending requests are
+// per user, not per tab, so a younger one may still be uploading in another tab.
+export const INTERRUPTED_UPLOAD_MS = 10 * 60 * 1000;
+
+/**
+ * One pending request: shows its name, status and progress, and passes its outcome fields up whenever they change
+ */
+function PendingRequestItem({ table, recordId, fieldIds, onChange, onDismiss, onCancel }) {
+    const { record, status, report, errorMessage, progress } = useReportRequest(table, recordId, fieldIds);
+    const [watchingSince] = useState(Date.now());
+    const now = useNow();
+    const isDeleted = !record;
+    const isUploadInterrupted = status === 'Uploading' && now - record.createdTime.getTime() > INTERRUPTED_UPLOAD_MS;
+
+    useEffect(() => {
+        onChange(recordId, { isDeleted, status, report, errorMessage, isUploadInterrupted });
+    }, [isDeleted, status, report, errorMessage, isUploadInterrupted]);
+
+    if (!record) return null;
+
+    const details = [status, describeReportProgress(progress)].filter(Boolean).join(' · ');
+    const timeSinceProgress = getTimeSinceProgress(progress, watchingSince, now);
+    const isStale = status === 'Pending' && progress !== null && timeSinceProgress > REPORT_STALE_MS;
+
+    return (
+        <Box display="flex" alignItems="center" justifyContent="space-between" marginTop={2}>
+            <Text>
+                {`"${record.name || record.id}"${details ? ` (${details})` : ''}`}
+                {isStale && (
+                    <Text as="span" textColor="orange">{` — no progress update for ${Math.floor(timeSinceProgress / 60000)} minutes`}</Text>
+                )}
+            </Text>
+            <Box display="flex">
+                <Button variant="secondary" size="small" icon="expand" marginRight={2} onClick={() => expandRecord(record)}>
+                    Open request
+                </Button>
+                <Button variant="secondary" size="small" marginRight={2} onClick={() => onDismiss(recordId)}>
+                    Dismiss
+                </Button>
+                <Button variant="secondary" size="small" onClick={() => onCancel(recordId)}>
+                    Cancel
+                </Button>
+            </Box>
+        </Box>
+    );
+}
+
+/**
+ * Report requests still running in the background, e.g. ones the user chose to check later or
+ * that were pending when the extension reloaded. Each request record is watched on its own;
+ * onChange(requestId, { isDeleted, status, report, errorMessage, isUploadInterrupted }) reports what it holds.
+ * Dismissing a request stops watching it; its report is still saved to the record.
+ * Cancelling it also marks the request Cancelled (onCancel).
+ * fieldIds: as useReportRequest takes them
+ */
+export default function PendingRequestList({ table, requestIds, fieldIds, onChange, onDismiss, onCancel }) {
+    if (requestIds.length === 0) return null;
+
+    return (
+        <Box backgroundColor="yellowLight2" padding={3} borderRadius="default" marginTop={3} marginBottom={3}>
+            <Text>
+                {requestIds.length === 1 ? 'A report is' : `${requestIds.length} reports are`} still generating.
+                {' '}Finished reports are shown here and saved to their Report Requests records.
+            </Text>
+            {requestIds.map(requestId => (
+                <PendingRequestItem
+                    key={requestId}
+                    table={table}
+                    recordId={requestId}
+                    fieldIds={fieldIds}
+                    onChange={onChange}
+                    onDismiss={onDismiss}
+                    onCancel={onCancel}
+                />
+            ))}
+        </Box>
+    );
+}
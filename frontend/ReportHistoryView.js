@@ -0,0 +1,85 @@
+import { Box, Heading, Text, Button, useRecords, expandRecord } from '@airtable/blocks/ui';
+import React from 'react';
+import { parseReportParameters, describeReportParameters } from './reportParameters';
+
+/**
+ * Lists past report requests, newest first, with their status and what they covered.
+ * A finished report can be opened (onOpenReport gets the request ID and report text), and any
+ * request with stored parameters can be re-run (onRerun gets the parameters to load into the form).
+ * fieldIds: { status, generatedReport, errorMessage, parameters, requester }, where parameters and
+ * requester may be unset when those fields are not mapped
+ */
+export default function ReportHistoryView({ table, fieldIds, getLevelLabel, onOpenReport, onRerun, onDone }) {
+    const records = useRecords(table, {
+        fields: [fieldIds.status, fieldIds.generatedReport, fieldIds.errorMessage, fieldIds.parameters, fieldIds.requester]
+            .filter(Boolean),
+    });
+    const requests = [...records].sort((a, b) => b.createdTime - a.createdTime);
+
+    return (
+        <Box padding={3} backgroundColor="lightGray1" minHeight="100vh" display="flex" justifyContent="center">
+            <Box maxWidth="800px" width="100%">
+                <Heading size="xlarge" marginBottom={2}>Report history</Heading>
+                <Text marginBottom={3} textColor="light">
+                    {requests.length === 0
+                        ? 'No reports have been requested yet.'
+                        : `${requests.length} report request${requests.length > 1 ? 's' : ''}. Re-run one to load its choices into the form.`}
+                </Text>
+
+                {requests.length > 0 && (
+                    <Box backgroundColor="white" padding={3} marginBottom={3} borderRadius="large" maxHeight="600px" overflow="auto">
+                        {requests.map(record => {
+                            const parameters = fieldIds.parameters
+                                ? parseReportParameters(record.getCellValueAsString(fieldIds.parameters))
+                                : null;
+                            const status = record.getCellValueAsString(fieldIds.status);
+                            const report = record.getCellValueAsString(fieldIds.generatedReport);
+                            const errorMessage = record.getCellValueAsString(fieldIds.errorMessage);
+                            const requester = fieldIds.requester ? record.getCellValueAsString(fieldIds.requester) : '';
+
+                            return (
+                                <Box key={record.id} paddingY={2} borderTop="default">
+                                    <Box display="flex" alignItems="center" justifyContent="space-between">
+                                        <Text fontWeight="strong">{record.name || 'Unnamed request'}</Text>
+                                        <Text size="small" textColor="light">
+                                            {[status || 'No status', requester, record.createdTime.toLocaleString()].filter(Boolean).join(' · ')}
+                                        </Text>
+                                    </Box>
+                                    <Text size="small" textColor="light" marginTop={1}>
+                                        {parameters
+                                            ? describeReportParameters(parameters, getLevelLabel)
+                                            : fieldIds.parameters
+                                                ? 'Made before request parameters were stored'
+                                                : 'Map the Request Parameters field in settings to see what requests covered and re-run them'}
+                                    </Text>
+                                    {status === 'Error' && errorMessage && (
+                                        <Text size="small" textColor="red" marginTop={1}>{errorMessage}</Text>
+                                    )}
+                                    <Box display="flex" marginTop={2}>
+                                        {status === 'Ready' && report && (
+                                            <Button size="small" variant="primary" marginRight={2} onClick={() => onOpenReport(record.id, report)}>
+                                                Open report
+                                            </Button>
+                                        )}
+                                        {parameters && (
+                                            <Button size="small" variant="secondary" marginRight={2} onClick={() => onRerun(parameters)}>
+                                                Re-run
+                                            </Button>
+                                        )}
+                                        <Button size="small" variant="secondary" icon="expand" onClick={() => expandRecord(record)}>
+                                            Open request
+                                        </Button>
+                                    </Box>
+                                </Box>
+                            );
+                        })}
+                    </Box>
+                )}
+
+                <Button variant="primary" onClick={onDone}>
+                    Done
+                </Button>
+            </Box>
+        </Box>
+    );
+}
@@ -0,0 +1,166 @@
+import { Box, Heading, Text, Button, Icon, ProgressBar, useRecordById } from '@airtable/blocks/ui';
+import React, { useState, useEffect } from 'react';
+import Spinner from './Spinner';
+import {
+    REPORT_STALE_MS,
+    readReportProgress,
+    getProgressFraction,
+    getTimeSinceProgress,
+    describeReportProgress,
+} from './reportProgress';
+
+// How long to wait without any progress before offering to keep waiting or check later
+export const REPORT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// How often the time since the last progress update is rechecked
+const STALE_CHECK_INTERVAL_MS = 15 * 1000;
+
+/**
+ * Loads one report request record and reads its outcome and progress fields
+ * fieldIds: { status, generatedReport, errorMessage, progressStage, progressCompleted, progressTotal, progressUpdatedAt },
+ * the progress ones unset when unmapped
+ * Returns { record, status, report, errorMessage, progress }; record and progress are null once the request is deleted,
+ * and progress is also null when no progress field is mapped
+ */
+export const useReportRequest = (table, recordId, fieldIds) => {
+    const record = useRecordById(table, recordId, {
+        fields: [
+            fieldIds.status,
+            fieldIds.generatedReport,
+            fieldIds.errorMessage,
+            fieldIds.progressStage,
+            fieldIds.progressCompleted,
+            fieldIds.progressTotal,
+            fieldIds.progressUpdatedAt,
+        ].filter(Boolean),
+    });
+
+    return {
+        record,
+        status: record ? record.getCellValueAsString(fieldIds.status) : '',
+        report: record ? record.getCellValueAsString(fieldIds.generatedReport) : '',
+        errorMessage: record ? record.getCellValueAsString(fieldIds.errorMessage) : '',
+        progress: record ? readReportProgress(record, fieldIds) : null,
+    };
+};
+
+/**
+ * The current time, refreshed every intervalMs, for checking whether progress has gone stale
+ */
+export const useNow = (intervalMs = STALE_CHECK_INTERVAL_MS) => {
+    const [now, setNow] = useState(Date.now());
+
+    useEffect(() => {
+        const interval = setInterval(() => setNow(Date.now()), intervalMs);
+        return () => clearInterval(interval);
+    }, [intervalMs]);
+
+    return now;
+};
+
+/**
+ * Watches one report request until the backend marks it Ready or Error. Only that record is
+ * loaded, and the subscription ends when the component unmounts.
+ * Shows the backend's progress (see reportProgress.js) and flags it once it stops updating for
+ * REPORT_STALE_MS. After REPORT_TIMEOUT_MS without any update the user can keep waiting (another
+ * full wait) or stop tracking and check the request later (onCheckLater gets the request record).
+ * onCancel is for the user's Cancel button; a request cancelled elsewhere ends in onError.
+ * fieldIds: as useReportRequest takes them
+ */
+export default function ReportStatusTracker({ table, recordId, fieldIds, onReady, onError, onCheckLater, onCancel }) {
+    const { record, status, report, errorMessage, progress } = useReportRequest(table, recordId, fieldIds);
+    const [waitRound, setWaitRound] = useState(0);
+    const [hasTimedOut, setHasTimedOut] = useState(false);
+    const [trackingSince] = useState(Date.now());
+    const now = useNow();
+
+    const isDeleted = !record;
+    const progressFraction = getProgressFraction(progress);
+    const progressText = describeReportProgress(progress);
+    const lastUpdateTime = progress && progress.updatedAt ? progress.updatedAt.getTime() : 0;
+    const timeSinceProgress = getTimeSinceProgress(progress, trackingSince, now);
+    // Without progress fields there are no updates to go stale, so only the timeout applies
+    const isStale = progress !== null && timeSinceProgress > REPORT_STALE_MS;
+
+    // Report the outcome once the backend has written it
+    useEffect(() => {
+        if (isDeleted) {
+            onError('The report request was deleted.');
+        } else if (status === 'Ready' && report) {
+            onReady(report);
+        } else if (status === 'Error') {
+            onError(errorMessage);
+        } else if (status === 'Cancelled') {
+            onError('The report request was cancelled.');
+        }
+    }, [isDeleted, status, report, errorMessage]);
+
+    // Start a wait; the timer is cleared on unmount, when the user keeps waiting and when progress comes in
+    useEffect(() => {
+        setHasTimedOut(false);
+        const timeout = setTimeout(() => setHasTimedOut(true), REPORT_TIMEOUT_MS);
+        return () => clearTimeout(timeout);
+    }, [waitRound, lastUpdateTime]);
+
+    return (
+        <Box
+            backgroundColor="blueBright"
+            padding={3}
+            borderRadius="default"
+            border="thick"
+            display="flex"
+            flexDirection="column"
+            alignItems="center"
+            justifyContent="center"
+            minHeight="200px"
+        >
+            {hasTimedOut ? (
+                <>
+                    <Heading size="small" marginBottom={2}>This report is taking longer than usual</Heading>
+                    <Text marginBottom={3} textColor="light">
+                        {`No progress in ${REPORT_TIMEOUT_MS / 60000} minutes${status ? ` (status: ${status})` : ''}. The report may still be generating.`}
+                    </Text>
+                    <Box display="flex">
+                        <Button variant="primary" marginRight={2} onClick={() => setWaitRound(waitRound + 1)}>
+                            Keep waiting
+                        </Button>
+                        <Button variant="secondary" marginRight={2} onClick={() => onCheckLater(record)}>
+                            Check later
+                        </Button>
+                        <Button variant="secondary" onClick={onCancel}>
+                            Cancel
+                        </Button>
+                    </Box>
+                </>
+            ) : (
+                <>
+                    <Heading size="small" marginBottom={2}>Generating Report...</Heading>
+                    <Text marginBottom={2} textColor="light">
+                        {progressText || 'This may take a moment while the AI summarizes your data.'}
+                    </Text>
+                    {progressFraction === null ? (
+                        <Spinner />
+                    ) : (
+                        <Box width="100%" maxWidth="400px">
+                            <ProgressBar progress={progressFraction} height={8} />
+                            <Text size="small" textColor="light" marginTop={1} textAlign="center">
+                                {Math.round(progressFraction * 100)}%
+                            </Text>
+                        </Box>
+                    )}
+                    {isStale && (
+                        <Box display="flex" alignItems="center" marginTop={3}>
+                            <Icon name="warning" size={16} fillColor="orange" marginRight={2} />
+                            <Text>
+                                {`No progress update for ${Math.floor(timeSinceProgress / 60000)} minutes. The report backend may have stopped.`}
+                            </Text>
+                        </Box>
+                    )}
+                    <Button variant="secondary" marginTop={3} onClick={onCancel}>
+                        Cancel
+                    </Button>
+                </>
+            )}
+        </Box>
+    );
+}
@@ -0,0 +1,469 @@
+import {
+    Box,
+    Heading,
+    Text,
+    Button,
+    FormField,
+    Input,
+    TablePicker,
+    FieldPicker,
+    TablePickerSynced,
+    FieldPickerSynced,
+    SelectSynced,
+    InputSynced,
+    SwitchSynced,
+    useGlobalConfig,
+    useRecords,
+} from '@airtable/blocks/ui';
+import React, { useState } from 'react';
+import {
+    TABLE_SETTINGS,
+    FIELD_SETTINGS,
+    BOARD_PLAN_CONFIG_KEYS,
+    BOARD_PLAN_FIELD_TYPES,
+    TIME_ZONE_CONFIG_KEY,
+    COMPLETE_STATUSES_CONFIG_KEY,
+    PAYLOAD_BUDGET_CONFIG_KEY,
+    PAYLOAD_COMPRESSION_CONFIG_KEY,
+    HIERARCHY_CONFIG_KEY,
+    LINK_TYPES,
+    createLevelKey,
+    getExtraFieldLevels,
+    getTableConfigKey,
+    getFieldConfigKey,
+    getExtraFieldsConfigKey,
+} from './settings';
+import { BOARD_PLAN_RULES } from './boardPlan';
+import { PAYLOAD_CAPACITY, DEFAULT_PAYLOAD_BUDGET } from './payloadBudget';
+import DiagnosticsPanel from './DiagnosticsPanel';
+
+/**
+ * Lets an editor pick which workplan sources are Board Plans (records rule)
+ */
+function BoardPlanRecordList({ workplanSourcesTable, recordIds }) {
+    const globalConfig = useGlobalConfig();
+    const workplanSources = useRecords(workplanSourcesTable);
+    const canEdit = globalConfig.hasPermissionToSet(BOARD_PLAN_CONFIG_KEYS.recordIds);
+
+    const toggleRecord = (recordId) => {
+        const nextRecordIds = recordIds.includes(recordId)
+            ? recordIds.filter(id => id !== recordId)
+            : [...recordIds, recordId];
+        globalConfig.setAsync(BOARD_PLAN_CONFIG_KEYS.recordIds, nextRecordIds);
+    };
+
+    return (
+        <Box maxHeight="200px" overflow="auto" border="default" borderRadius="default" padding={2}>
+            {workplanSources.map(record => (
+                <Box key={record.id} display="flex" alignItems="center" marginY={1}>
+                    <input
+                        type="checkbox"
+                        id={`boardPlanRecord-${record.id}`}
+                        checked={recordIds.includes(record.id)}
+                        disabled={!canEdit}
+                        onChange={() => toggleRecord(record.id)}
+                        style={{ cursor: 'pointer' }}
+                    />
+                    <label
+                        htmlFor={`boardPlanRecord-${record.id}`}
+                        style={{ cursor: 'pointer', marginBottom: 0, marginLeft: 8 }}
+                    >
+                        {record.name || 'Unnamed record'}
+                    </label>
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+/**
+ * Lets an editor tick which fields of a table are sent to the AI for one level
+ */
+function ExtraFieldList({ table, level, selectedFields }) {
+    const globalConfig = useGlobalConfig();
+    const configKey = getExtraFieldsConfigKey(level);
+    const canEdit = globalConfig.hasPermissionToSet(configKey);
+    const selectedIds = selectedFields.map(field => field.id);
+
+    const toggleField = (fieldId) => {
+        const nextFieldIds = selectedIds.includes(fieldId)
+            ? selectedIds.filter(id => id !== fieldId)
+            : [...selectedIds, fieldId];
+        globalConfig.setAsync(configKey, nextFieldIds);
+    };
+
+    return (
+        <Box maxHeight="200px" overflow="auto" border="default" borderRadius="default" padding={2}>
+            {table.fields.map(field => (
+                <Box key={field.id} display="flex" alignItems="center" marginY={1}>
+                    <input
+                        type="checkbox"
+                        id={`extraField-${level}-${field.id}`}
+                        checked={selectedIds.includes(field.id)}
+                        disabled={!canEdit}
+                        onChange={() => toggleField(field.id)}
+                        style={{ cursor: 'pointer' }}
+                    />
+                    <label
+                        htmlFor={`extraField-${level}-${field.id}`}
+                        style={{ cursor: 'pointer', marginBottom: 0, marginLeft: 8 }}
+                    >
+                        {field.name}
+                    </label>
+                </Box>
+            ))}
+        </Box>
+    );
+}
+
+/**
+ * Settings for which extra fields each level sends to the AI
+ */
+function ExtraFieldSettings({ hierarchy, tables, extraFields }) {
+    return (
+        <Box backgroundColor="white" padding={3} marginBottom={3} borderRadius="large">
+            <Heading size="small" marginBottom={2}>Extra fields for the AI</Heading>
+            <Text size="small" textColor="light" marginBottom={2}>
+                Ticked fields are sent with each record as text, e.g. objective descriptions, owners or session dates.
+            </Text>
+
+            {getExtraFieldLevels(hierarchy, tables).filter(level => level.table).map(level => (
+                <FormField key={level.key} label={level.label}>
+                    <ExtraFieldList
+                        table={level.table}
+                        level={level.key}
+                        selectedFields={extraFields[level.key]}
+                    />
+                </FormField>
+            ))}
+        </Box>
+    );
+}
+
+/**
+ * Copies a level's settings into the shape stored in globalConfig, dropping unset links
+ */
+const toStoredLevel = (level) => ({
+    key: level.key,
+    label: level.label,
+    tableId: level.tableId || null,
+    parentLinkFieldId: level.parentLinkFieldId || null,
+    skipLinks: (level.skipLinks || []).filter(skipLink => skipLink.fieldId),
+});
+
+/**
+ * Lets an editor set up the hierarchy: its levels from top to bottom, each level's table,
+ * the field linking it to the level above, and optional links that skip past that level.
+ * Saving any change stores the whole list, so a base still on the original fixed hierarchy
+ * switches over on its first edit.
+ */
+function HierarchySettings({ hierarchy, levelSettings }) {
+    const globalConfig = useGlobalConfig();
+    const canEdit = globalConfig.hasPermissionToSet(HIERARCHY_CONFIG_KEY);
+    const [newLevelLabel, setNewLevelLabel] = useState('');
+
+    const saveLevels = (nextLevels) => {
+        globalConfig.setAsync(HIERARCHY_CONFIG_KEY, nextLevels.map(toStoredLevel));
+    };
+
+    const updateLevel = (index, changes) => {
+        saveLevels(levelSettings.map((level, i) => (i === index ? { ...level, ...changes } : level)));
+    };
+
+    const setSkipLink = (index, targetKey, field) => {
+        const skipLinks = (levelSettings[index].skipLinks || []).filter(skipLink => skipLink.level !== targetKey);
+        if (field) {
+            skipLinks.push({ level: targetKey, fieldId: field.id });
+        }
+        updateLevel(index, { skipLinks });
+    };
+
+    // New levels go just above the bottom level, whose link to its parent then has to be picked again
+    const addLevel = () => {
+        const label = newLevelLabel.trim();
+        const newLevel = { key: createLevelKey(label, levelSettings.map(level => level.key)), label };
+        const bottomIndex = levelSettings.length - 1;
+
+        saveLevels(bottomIndex < 0 ? [newLevel] : [
+            ...levelSettings.slice(0, bottomIndex),
+            newLevel,
+            { ...levelSettings[bottomIndex], parentLinkFieldId: null },
+        ]);
+        setNewLevelLabel('');
+    };
+
+    // The level below a removed one loses its parent link, and no level keeps a skip link to it
+    const removeLevel = (index) => {
+        const removedKey = levelSettings[index].key;
+        saveLevels(levelSettings
+            .filter((level, i) => i !== index)
+            .map((level, i) => ({
+                ...level,
+                parentLinkFieldId: i === index ? null : level.parentLinkFieldId,
+                skipLinks: (level.skipLinks || []).filter(skipLink => skipLink.level !== removedKey),
+            })));
+    };
+
+    return (
+        <Box backgroundColor="white" padding={3} marginBottom={3} borderRadius="large">
+            <Heading size="small" marginBottom={2}>Hierarchy</Heading>
+            <Text size="small" textColor="light" marginBottom={2}>
+                Levels from top to bottom. The top level holds the workplan sources; the bottom level holds the activities T/TA sessions link to.
+            </Text>
+
+            {hierarchy.map((level, i) => {
+                const isBottom = i === hierarchy.length - 1;
+                const parent = hierarchy[i - 1];
+
+                return (
+                    <Box key={level.key} border="default" borderRadius="default" padding={2} marginBottom={2}>
+                        <Box display="flex" alignItems="flex-end">
+                            <FormField label={`Level ${i + 1}${i === 0 ? ' (top)' : isBottom ? ' (bottom)' : ''}`} flex="1" marginRight={2}>
+                                <Input
+                                    value={level.label}
+                                    disabled={!canEdit}
+                                    onChange={e => updateLevel(i, { label: e.target.value })}
+                                />
+                            </FormField>
+                            <FormField label="Table" flex="1" marginRight={2}>
+                                <TablePicker
+                                    table={level.table}
+                                    disabled={!canEdit}
+                                    onChange={table => updateLevel(i, { tableId: table ? table.id : null, parentLinkFieldId: null, skipLinks: [] })}
+                                />
+                            </FormField>
+                            <Button
+                                icon="trash"
+                                aria-label={`Remove ${level.label}`}
+                                marginBottom={3}
+                                disabled={!canEdit || hierarchy.length === 1}
+                                onClick={() => removeLevel(i)}
+                            />
+                        </Box>
+
+                        {level.table && parent && (
+                            <FormField label={`Link to ${parent.label}`}>
+                                <FieldPicker
+                                    table={level.table}
+                                    field={level.parentLinkField}
+                                    allowedTypes={LINK_TYPES}
+                                    disabled={!canEdit}
+                                    onChange={field => updateLevel(i, { parentLinkFieldId: field ? field.id : null })}
+                                />
+                            </FormField>
+                        )}
+
+                        {level.table && hierarchy.slice(0, Math.max(i - 1, 0)).map(target => (
+                            <FormField key={target.key} label={`Link straight to ${target.label} (optional)`}>
+                                <FieldPicker
+                                    table={level.table}
+                                    field={level.skipLinks.find(skipLink => skipLink.level === target.key)?.field || null}
+                                    allowedTypes={LINK_TYPES}
+                                    shouldAllowPickingNone={true}
+                                    disabled={!canEdit}
+                                    onChange={field => setSkipLink(i, target.key, field)}
+                                />
+                            </FormField>
+                        ))}
+
+                        {level.table && isBottom && FIELD_SETTINGS.filter(f => f.table === 'activities').map(fieldSetting => (
+                            <FormField key={fieldSetting.key} label={fieldSetting.label}>
+                                <FieldPickerSynced
+                                    table={level.table}
+                                    globalConfigKey={getFieldConfigKey(fieldSetting.key)}
+                                    allowedTypes={fieldSetting.allowedTypes}
+                                />
+                            </FormField>
+                        ))}
+
+                        {!level.table && (
+                            <Text size="small" textColor="light">
+                                Pick the table to choose its fields.
+                            </Text>
+                        )}
+                    </Box>
+                );
+            })}
+
+            <Box display="flex" alignItems="flex-end">
+                <FormField label="New level" flex="1" marginRight={2} marginBottom={0}>
+                    <Input
+                        value={newLevelLabel}
+                        placeholder="e.g. Strategy"
+                        disabled={!canEdit}
+                        onChange={e => setNewLevelLabel(e.target.value)}
+                    />
+                </FormField>
+                <Button icon="plus" disabled={!canEdit || !newLevelLabel.trim()} onClick={addLevel}>
+                    Add level
+                </Button>
+            </Box>
+        </Box>
+    );
+}
+
+/**
+ * Settings for how the extension decides that a workplan source is a Board Plan
+ */
+function BoardPlanSettings({ workplanSourcesTable, rule }) {
+    const choices = rule.field?.options?.choices || [];
+
+    return (
+        <Box backgroundColor="white" padding={3} marginBottom={3} borderRadius="large">
+            <Heading size="small" marginBottom={2}>Board Plan detection</Heading>
+            <Text size="small" textColor="light" marginBottom={2}>
+                Board Plan reports send activity status and comments instead of T/TA summaries.
+            </Text>
+
+            <FormField label="A workplan source is a Board Plan when">
+                <SelectSynced globalConfigKey={BOARD_PLAN_CONFIG_KEYS.type} options={BOARD_PLAN_RULES} />
+            </FormField>
+
+            {rule.type === 'name' && (
+                <FormField label="Name contains (case-insensitive)">
+                    <InputSynced globalConfigKey={BOARD_PLAN_CONFIG_KEYS.nameText} placeholder={rule.nameText} />
+                </FormField>
+            )}
+
+            {BOARD_PLAN_FIELD_TYPES[rule.type] && (
+                <FormField label="Field">
+                    <FieldPickerSynced
+                        table={workplanSourcesTable}
+                        globalConfigKey={BOARD_PLAN_CONFIG_KEYS.fieldId}
+                        allowedTypes={BOARD_PLAN_FIELD_TYPES[rule.type]}
+                    />
+                </FormField>
+            )}
+
+            {rule.type === 'select' && rule.field && (
+                <FormField label="Board Plan option">
+                    <SelectSynced
+                        globalConfigKey={BOARD_PLAN_CONFIG_KEYS.selectValue}
+                        options={choices.map(choice => ({ value: choice.name, label: choice.name }))}
+                    />
+                </FormField>
+            )}
+
+            {rule.type === 'records' && (
+                <FormField label="Board Plan workplan sources">
+                    <BoardPlanRecordList workplanSourcesTable={workplanSourcesTable} recordIds={rule.recordIds} />
+                </FormField>
+            )}
+        </Box>
+    );
+}
+
+/**
+ * Lets an editor map every table and field the extension uses.
+ * Selections are stored in globalConfig, so each base keeps its own mapping.
+ */
+export default function SettingsView({ settings, schemaIssues, onDone }) {
+    const { tables, isConfigured } = settings;
+
+    return (
+        <Box padding={3} backgroundColor="lightGray1" minHeight="100vh" display="flex" justifyContent="center">
+            <Box maxWidth="800px" width="100%">
+                <Heading size="xlarge" marginBottom={2}>Settings</Heading>
+                <Text marginBottom={3} textColor="light">
+                    Pick the tables and fields this base uses. Every field below not marked optional is required before reports can be generated.
+                </Text>
+
+                <DiagnosticsPanel issues={schemaIssues} />
+
+                <HierarchySettings
+                    hierarchy={settings.hierarchy}
+                    levelSettings={settings.levelSettings}
+                />
+
+                {TABLE_SETTINGS.map(tableSetting => {
+                    const table = tables[tableSetting.key];
+                    const fieldSettings = FIELD_SETTINGS.filter(f => f.table === tableSetting.key);
+
+                    return (
+                        <Box
+                            key={tableSetting.key}
+                            backgroundColor="white"
+                            padding={3}
+                            marginBottom={3}
+                            borderRadius="large"
+                        >
+                            <FormField label={`${tableSetting.label} table`}>
+                                <TablePickerSynced globalConfigKey={getTableConfigKey(tableSetting.key)} />
+                            </FormField>
+
+                            {table ? (
+                                fieldSettings.map(fieldSetting => (
+                                    <FormField key={fieldSetting.key} label={fieldSetting.optional ? `${fieldSetting.label} (optional)` : fieldSetting.label}>
+                                        <FieldPickerSynced
+                                            table={table}
+                                            globalConfigKey={getFieldConfigKey(fieldSetting.key)}
+                                            allowedTypes={fieldSetting.allowedTypes}
+                                            shouldAllowPickingNone={Boolean(fieldSetting.optional)}
+                                        />
+                                    </FormField>
+                                ))
+                            ) : (
+                                <Text size="small" textColor="light">
+                                    Pick the table to choose its fields.
+                                </Text>
+                            )}
+                        </Box>
+                    );
+                })}
+
+                {tables.workplanSources && (
+                    <BoardPlanSettings workplanSourcesTable={tables.workplanSources} rule={settings.boardPlanRule} />
+                )}
+
+                <ExtraFieldSettings hierarchy={settings.hierarchy} tables={tables} extraFields={settings.extraFields} />
+
+                <Box backgroundColor="white" padding={3} marginBottom={3} borderRadius="large">
+                    <Heading size="small" marginBottom={2}>Report stats</Heading>
+                    <FormField
+                        label="Activity statuses that count as complete"
+                        description="Comma-separated, not case-sensitive. Used for the percentage of activities complete."
+                    >
+                        <InputSynced
+                            globalConfigKey={COMPLETE_STATUSES_CONFIG_KEY}
+                            placeholder={settings.completeStatuses.join(', ')}
+                        />
+                    </FormField>
+                </Box>
+
+                <Box backgroundColor="white" padding={3} marginBottom={3} borderRadius="large">
+                    <Heading size="small" marginBottom={2}>Dates</Heading>
+                    <FormField
+                        label="Report time zone"
+                        description="Date-time values are counted on the calendar day they fall on in this zone. Leave empty to use the zone set on the session date field, or each viewer's own."
+                    >
+                        <InputSynced globalConfigKey={TIME_ZONE_CONFIG_KEY} placeholder={settings.timeZone || 'e.g. America/New_York'} />
+                    </FormField>
+                </Box>
+
+                <Box backgroundColor="white" padding={3} marginBottom={3} borderRadius="large">
+                    <Heading size="small" marginBottom={2}>Payload size</Heading>
+                    <FormField
+                        label="Payload budget (characters)"
+                        description={`Counted on the report JSON, before any compression. Larger reports are reduced until they fit: first made compact, then long texts are trimmed and older sessions dropped. Defaults to ${DEFAULT_PAYLOAD_BUDGET.toLocaleString()}, at most ${PAYLOAD_CAPACITY.toLocaleString()}.`}
+                    >
+                        <InputSynced
+                            globalConfigKey={PAYLOAD_BUDGET_CONFIG_KEY}
+                            type="number"
+                            placeholder={String(settings.payloadBudget)}
+                        />
+                    </FormField>
+                    <FormField
+                        label="Compression"
+                        description="Sends the report JSON deflate-compressed and base64-encoded, usually a fraction of its size. This only shrinks what is uploaded: the budget still applies to the JSON, so reports are trimmed just as much. The backend must decode it (see payloadEncoding.js); the request's manifest says which encoding was used."
+                    >
+                        <SwitchSynced globalConfigKey={PAYLOAD_COMPRESSION_CONFIG_KEY} label="Compress payloads (deflate + base64)" />
+                    </FormField>
+                </Box>
+
+                <Button variant="primary" disabled={!isConfigured} onClick={onDone}>
+                    Done
+                </Button>
+            </Box>
+        </Box>
+    );
+}
@@ -0,0 +1,28 @@
+import { Box } from '@airtable/blocks/ui';
+import React from 'react';
+
+/**
+ * A spinning loading indicator
+ */
+export default function Spinner() {
+    return (
+        <>
+            <Box
+                style={{
+                    width: '40px',
+                    height: '40px',
+                    border: '4px solid rgba(0, 0, 0, 0.1)',
+                    borderTop: '4px solid #0084ff',
+                    borderRadius: '50%',
+                    animation: 'spin 1s linear infinite'
+                }}
+            />
+            <style>{`
+                @keyframes spin {
+                    0% { transform: rotate(0deg); }
+                    100% { transform: rotate(360deg); }
+                }
+            `}</style>
+        </>
+    );
+}
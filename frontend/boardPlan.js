@@ -0,0 +1,60 @@
+import { airtableRecordAdapter } from './recordAdapter';
+
+/**
+ * Ways a workplan source can be marked as a Board Plan
+ */
+export const BOARD_PLAN_RULES = [
+    { value: 'name', label: 'Name contains text' },
+    { value: 'checkbox', label: 'Checkbox field is checked' },
+    { value: 'select', label: 'Single select field has a value' },
+    { value: 'records', label: 'Specific workplan sources' },
+];
+
+export const DEFAULT_BOARD_PLAN_NAME_TEXT = 'board plan';
+
+/**
+ * Creates a predicate that tells whether a workplan source record is a Board Plan
+ * under the configured rule
+ */
+export const createBoardPlanMatcher = (rule, adapter = airtableRecordAdapter) => {
+    switch (rule.type) {
+        case 'checkbox': {
+            const fieldId = rule.field?.id;
+            return (workplanSource) => Boolean(fieldId && adapter.getValue(workplanSource, fieldId));
+        }
+
+        case 'select': {
+            const fieldId = rule.field?.id;
+            return (workplanSource) => Boolean(fieldId && rule.selectValue) &&
+                adapter.getString(workplanSource, fieldId) === rule.selectValue;
+        }
+
+        case 'records': {
+            const recordIds = new Set(rule.recordIds || []);
+            return (workplanSource) => recordIds.has(workplanSource.id);
+        }
+
+        case 'name':
+        default: {
+            const text = (rule.nameText || DEFAULT_BOARD_PLAN_NAME_TEXT).toLowerCase();
+            return (workplanSource) => adapter.getName(workplanSource).toLowerCase().includes(text);
+        }
+    }
+};
+
+/**
+ * Describes the configured rule in a short phrase for the UI
+ */
+export const describeBoardPlanRule = (rule) => {
+    switch (rule.type) {
+        case 'checkbox':
+            return `"${rule.field?.name || '?'}" is checked`;
+        case 'select':
+            return `"${rule.field?.name || '?'}" is "${rule.selectValue || '?'}"`;
+        case 'records':
+            return 'the source is in the Board Plan list';
+        case 'name':
+        default:
+            return `the source name contains "${rule.nameText || DEFAULT_BOARD_PLAN_NAME_TEXT}"`;
+    }
+};
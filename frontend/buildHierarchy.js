@@ -1,202 +1,231 @@
-/**
- * Gets the primary field value (name) of a record
- */
-const getRecordName = (record, table) => {
-    return record.name || record.getCellValueAsString(table.primaryField.id) || 'Unknown';
-};
+import { airtableRecordAdapter } from './recordAdapter';
+import { buildRecordIndex, getLegacyHierarchy } from './recordIndex';
+import { createDateRange, toDayKey } from './dateRange';
+import { sessionMatchesDimension } from './dimension';
 
 /**
- * Checks if a record is part of the Board Plan hierarchy
- * Returns the board plan workplan source ID if found, null otherwise
+ * Gets the IDs of every top-level record (workplan source) a record belongs to, through
+ * parent and skip-level links. Skip links come before links through the level above.
  */
-const findBoardPlanSource = (
-    recordType,
-    recordId,
-    workplanSources,
-    goals,
-    objectives,
-    goalsLinkField,
-    objectivesLinkField,
-    objectivesToSourcesLinkField
-) => {
-    // Helper to check if a workplan source is Board Plan
-    const isBoardPlan = (workplanSource) => {
-        const name = workplanSource.name || '';
-        return name.toLowerCase().includes('board plan');
-    };
-
-    switch (recordType) {
-        case 'workplanSource': {
-            const ws = workplanSources.find(w => w.id === recordId);
-            return ws && isBoardPlan(ws) ? recordId : null;
+export const getWorkplanSourceIds = (recordType, recordId, recordIndex) => {
+    const { levels } = recordIndex;
+    const sourceIds = new Set();
+    const visited = new Set();
+
+    const addSources = (level, id) => {
+        const visitKey = `${level}:${id}`;
+        if (visited.has(visitKey) || !recordIndex.byLevel[level]?.has(id)) return;
+        visited.add(visitKey);
+
+        if (level === levels[0]) {
+            sourceIds.add(id);
+            return;
         }
 
-        case 'goal': {
-            const goal = goals.find(g => g.id === recordId);
-            if (!goal) return null;
-            
-            const linked = goal.getCellValue(goalsLinkField?.id);
-            if (!linked) return null;
-
-            for (const link of linked) {
-                const ws = workplanSources.find(w => w.id === link.id);
-                if (ws && isBoardPlan(ws)) return link.id;
+        for (const [ancestorLevel, linkIndex] of Object.entries(recordIndex.skipLinks[level])) {
+            for (const ancestorId of linkIndex.getParentIds(id)) {
+                addSources(ancestorLevel, ancestorId);
             }
-            return null;
         }
 
-        case 'objective': {
-            const objective = objectives.find(o => o.id === recordId);
-            if (!objective) return null;
+        const parentLevel = levels[levels.indexOf(level) - 1];
+        for (const parentId of recordIndex.parentLinks[level].getParentIds(id)) {
+            addSources(parentLevel, parentId);
+        }
+    };
 
-            // Check direct link to workplan sources
-            const directLinked = objective.getCellValue(objectivesToSourcesLinkField?.id);
-            if (directLinked) {
-                for (const link of directLinked) {
-                    const ws = workplanSources.find(w => w.id === link.id);
-                    if (ws && isBoardPlan(ws)) return link.id;
-                }
-            }
+    addSources(recordType, recordId);
+    return Array.from(sourceIds);
+};
 
-            // Check through goals
-            const goalLinked = objective.getCellValue(objectivesLinkField?.id);
-            if (goalLinked) {
-                for (const goalLink of goalLinked) {
-                    const goal = goals.find(g => g.id === goalLink.id);
-                    if (!goal) continue;
-
-                    const wsLinked = goal.getCellValue(goalsLinkField?.id);
-                    if (wsLinked) {
-                        for (const wsLink of wsLinked) {
-                            const ws = workplanSources.find(w => w.id === wsLink.id);
-                            if (ws && isBoardPlan(ws)) return wsLink.id;
-                        }
-                    }
-                }
-            }
-            return null;
-        }
+/**
+ * Decides which report modes apply to a record, from the workplan sources it belongs to
+ * A record linked to both a Board Plan and a regular source gets both modes; a record
+ * with no source at all is reported as T/TA.
+ * Returns { boardPlan, tta, boardPlanSourceIds }
+ */
+export const getRecordModes = (recordType, recordId, recordIndex, isBoardPlan) => {
+    const sources = getWorkplanSourceIds(recordType, recordId, recordIndex)
+        .map(id => recordIndex.workplanSources.get(id));
+    const boardPlanSources = sources.filter(ws => isBoardPlan(ws));
 
-        case 'activity': {
-            // Activities don't need to check - they're always leaves
-            return null;
-        }
+    return {
+        boardPlan: boardPlanSources.length > 0,
+        tta: sources.length === 0 || boardPlanSources.length < sources.length,
+        boardPlanSourceIds: boardPlanSources.map(ws => ws.id),
+    };
+};
 
-        default:
-            return null;
-    }
+/**
+ * Checks if a record is part of the Board Plan hierarchy
+ * Returns the board plan workplan source ID if found, null otherwise
+ */
+export const findBoardPlanSource = (recordType, recordId, recordIndex, isBoardPlan) => {
+    return getRecordModes(recordType, recordId, recordIndex, isBoardPlan).boardPlanSourceIds[0] || null;
+};
+
+/**
+ * How activities with missing dates are treated when a date range is set.
+ * All off means any activity missing a start or end date is excluded.
+ *   openEnded      - a missing end date means the activity is ongoing
+ *   openStart      - a missing start date means the activity has always been running
+ *   includeUndated - activities with neither date are always included
+ */
+export const DEFAULT_DATE_POLICY = {
+    openEnded: false,
+    openStart: false,
+    includeUndated: false,
 };
 
 /**
  * Checks if an activity's date range overlaps with the user-selected date range
+ * Returns null when the activity is in range, or the reason it was excluded
  */
-const isActivityInDateRange = (activity, startDate, endDate, startDateField, endDateField) => {
-    if (!startDate && !endDate) {
-        return true;
+const getDateRangeExclusion = (activity, options) => {
+    const { adapter, fields, range, dateRange } = options;
+    const policy = { ...DEFAULT_DATE_POLICY, ...range.policy };
+
+    if (!dateRange.isSet) {
+        return null;
     }
 
-    const activityStart = activity.getCellValue(startDateField?.id);
-    const activityEnd = activity.getCellValue(endDateField?.id);
+    const activityStart = adapter.getValue(activity, fields.activitiesStartDate);
+    const activityEnd = adapter.getValue(activity, fields.activitiesEndDate);
+
+    if (!activityStart && !activityEnd) {
+        return policy.includeUndated ? null : 'No start or end date';
+    }
+    if (!activityStart && !policy.openStart) {
+        return 'No start date';
+    }
+    if (!activityEnd && !policy.openEnded) {
+        return 'No end date';
+    }
 
-    if (!activityStart || !activityEnd) {
-        return false;
+    if (!dateRange.overlaps(activityStart, activityEnd)) {
+        const actStart = toDayKey(activityStart, range.timeZone);
+        const actEnd = toDayKey(activityEnd, range.timeZone);
+        return dateRange.end && actStart && actStart > dateRange.end
+            ? `Starts ${actStart}, after the report ends`
+            : `Ended ${actEnd}, before the report starts`;
     }
 
-    const userStart = startDate ? new Date(startDate) : null;
-    const userEnd = endDate ? new Date(endDate) : null;
-    const actStart = new Date(activityStart);
-    const actEnd = new Date(activityEnd);
+    return null;
+};
 
-    if (userStart && actEnd < userStart) return false;
-    if (userEnd && actStart > userEnd) return false;
+/**
+ * Reads the extra fields configured for a level as { [field name]: value }
+ * Returns undefined when none are configured or every one of them is empty
+ */
+const getExtraFieldValues = (record, level, options) => {
+    const { adapter, extraFields } = options;
+    const values = {};
+
+    for (const field of extraFields[level] || []) {
+        const value = adapter.getString(record, field.id);
+        if (value) {
+            values[field.name] = value;
+        }
+    }
 
-    return true;
+    return Object.keys(values).length > 0 ? values : undefined;
 };
 
 /**
  * Helper function to create a record object (without T/TA sessions or activity details)
  */
-const createRecordObject = (record, table, recordType) => {
-    return {
-        tableId: table.id,
+const createRecordObject = (record, recordType, options) => {
+    const recordObj = {
+        tableId: options.tables[recordType],
         recordId: record.id,
         type: recordType,
-        recordName: getRecordName(record, table),
+        recordName: options.adapter.getName(record),
         ttaSessions: [],
         children: []
     };
+
+    const extraFieldValues = getExtraFieldValues(record, recordType, options);
+    if (extraFieldValues) {
+        recordObj.fields = extraFieldValues;
+    }
+    return recordObj;
 };
 
 /**
  * Helper function to create a record object with T/TA sessions (for non-Board Plan)
  */
-const createRecordObjectWithTTA = (record, table, recordType, ttaSessions, ttaSessionsLinkField, startDate, endDate, ttaDateField, ttaSummaryForAIFieldId) => {
-    const ttaForRecord = ttaSessions.filter(session => {
-        const linked = session.getCellValue(ttaSessionsLinkField?.id);
-        if (!linked || !linked.some(l => l.id === record.id)) return false;
-
-        if (!startDate && !endDate) return true;
-
-        const sessionDate = session.getCellValue(ttaDateField?.id);
-        if (!sessionDate) return false;
+const createRecordObjectWithTTA = (record, recordType, options) => {
+    const { adapter, fields, dateRange, recordIndex, dimension } = options;
 
-        const date = new Date(sessionDate);
-        const userStart = startDate ? new Date(startDate) : null;
-        const userEnd = endDate ? new Date(endDate) : null;
+    const sessionDates = new Map();
+    const ttaForRecord = recordIndex.sessionsToActivities.getChildren(record.id).filter(session => {
+        const sessionDate = adapter.getValue(session, fields.ttaSessionsDate);
+        sessionDates.set(session.id, sessionDate);
 
-        if (userStart && date < userStart) return false;
-        if (userEnd && date > userEnd) return false;
-
-        return true;
+        return (!dateRange.isSet || dateRange.contains(sessionDate)) &&
+            (!dimension || sessionMatchesDimension(session, dimension, adapter));
     });
 
     const ttaData = ttaForRecord
-        .sort((a, b) => {
-            const dateA = a.getCellValue(ttaDateField?.id);
-            const dateB = b.getCellValue(ttaDateField?.id);
-            return new Date(dateA) - new Date(dateB);
-        })
-        .map(session => ({
-            id: session.id,
-            summary: session.getCellValueAsString(ttaSummaryForAIFieldId) || ''
-        }));
+        .sort((a, b) => new Date(sessionDates.get(a.id)) - new Date(sessionDates.get(b.id)))
+        .map(session => {
+            const sessionObj = {
+                id: session.id,
+                date: toDayKey(sessionDates.get(session.id), options.range.timeZone),
+                summary: adapter.getString(session, fields.ttaSummaryForAI) || '',
+                // Every activity the session supports, so a session shared by several activities reads as one
+                activities: recordIndex.sessionsToActivities.getParentIds(session.id)
+                    .filter(activityId => recordIndex.activities.has(activityId))
+                    .map(activityId => ({ id: activityId, name: adapter.getName(recordIndex.activities.get(activityId)) }))
+            };
+            const extraFieldValues = getExtraFieldValues(session, 'ttaSession', options);
+            if (extraFieldValues) {
+                sessionObj.fields = extraFieldValues;
+            }
+            return sessionObj;
+        });
 
     return {
-        tableId: table.id,
-        recordId: record.id,
-        type: recordType,
-        recordName: getRecordName(record, table),
+        ...createRecordObject(record, recordType, options),
         ttaSessions: ttaData,
-        children: []
     };
 };
 
 /**
  * Helper function to create an activity object with comments and status (for Board Plan)
  */
-const createActivityObjectWithDetails = (activity, activitiesTable, startDate, endDate, startDateField, endDateField, commentsFieldId, statusFieldId) => {
-    const comments = activity.getCellValueAsString(commentsFieldId) || '';
-    const status = activity.getCellValueAsString(statusFieldId) || '';
+const createActivityObjectWithDetails = (activity, options) => {
+    const { adapter, fields, activityLevel } = options;
+    const comments = adapter.getString(activity, fields.activitiesComments) || '';
+    const status = adapter.getString(activity, fields.activitiesStatus) || '';
 
-    return {
-        tableId: activitiesTable.id,
+    const actObj = {
+        tableId: options.tables[activityLevel],
         recordId: activity.id,
-        type: 'activity',
-        recordName: getRecordName(activity, activitiesTable),
+        type: activityLevel,
+        recordName: adapter.getName(activity),
         activityComments: comments,
         activityStatus: status,
+        // Kept like on every other node, so the compact encoding (which leaves out empty lists) round-trips
+        ttaSessions: [],
         children: []
     };
+
+    const extraFieldValues = getExtraFieldValues(activity, activityLevel, options);
+    if (extraFieldValues) {
+        actObj.fields = extraFieldValues;
+    }
+    return actObj;
 };
 
 /**
  * Recursively collects T/TA sessions from all activities in a subtree
  */
-const collectTTAFromActivities = (node) => {
+const collectTTAFromActivities = (node, activityLevel) => {
     const ttaMap = new Map();
 
     const traverse = (n) => {
-        if (n.type === 'activity' && n.ttaSessions && n.ttaSessions.length > 0) {
+        if (n.type === activityLevel && n.ttaSessions && n.ttaSessions.length > 0) {
             for (const session of n.ttaSessions) {
                 if (!ttaMap.has(session.id)) {
                     ttaMap.set(session.id, session);
@@ -244,16 +273,21 @@ const collectActivitiesFromSubtree = (node) => {
 /**
  * Recursively collects activity details from all activities in a subtree (for Board Plan)
  */
-const collectActivityDetails = (node) => {
+const collectActivityDetails = (node, activityLevel) => {
     const activities = [];
 
     const traverse = (n) => {
-        if (n.type === 'activity' && (n.activityComments || n.activityStatus)) {
-            activities.push({
+        if (n.type === activityLevel && (n.activityComments || n.activityStatus)) {
+            const details = {
+                recordId: n.recordId,
                 recordName: n.recordName,
                 comments: n.activityComments || '',
                 status: n.activityStatus || ''
-            });
+            };
+            if (n.fields) {
+                details.fields = n.fields;
+            }
+            activities.push(details);
         }
 
         if (n.children && n.children.length > 0) {
@@ -268,18 +302,19 @@ const collectActivityDetails = (node) => {
 };
 
 /**
- * Post-processes the hierarchy to add T/TA sessions to bottom-level nodes only (for non-Board Plan)
+ * Post-processes the hierarchy to add T/TA sessions to bottom-level nodes only
+ * Board Plan-only branches have no sessions and are left without them
  */
-const addInheritedTTA = (node, bottomLevel) => {
-    if (node.type !== 'activity') {
+const addInheritedTTA = (node, bottomLevel, activityLevel) => {
+    if (node.type !== activityLevel) {
         if (node.children && node.children.length > 0) {
             for (const child of node.children) {
-                addInheritedTTA(child, bottomLevel);
+                addInheritedTTA(child, bottomLevel, activityLevel);
             }
 
             // Only add T/TA to nodes that match the bottom level
             if (node.type === bottomLevel) {
-                const collectedTTA = collectTTAFromActivities(node);
+                const collectedTTA = collectTTAFromActivities(node, activityLevel);
                 if (collectedTTA.length > 0) {
                     node.ttaSessions = collectedTTA;
                 }
@@ -289,18 +324,19 @@ const addInheritedTTA = (node, bottomLevel) => {
 };
 
 /**
- * Post-processes the hierarchy to add activity details to bottom-level nodes (for Board Plan)
+ * Post-processes the hierarchy to add activity details to bottom-level nodes
+ * Only Board Plan activities have details, so T/TA-only branches are left without them
  */
-const addInheritedActivityDetails = (node, bottomLevel) => {
-    if (node.type !== 'activity') {
+const addInheritedActivityDetails = (node, bottomLevel, activityLevel) => {
+    if (node.type !== activityLevel) {
         if (node.children && node.children.length > 0) {
             for (const child of node.children) {
-                addInheritedActivityDetails(child, bottomLevel);
+                addInheritedActivityDetails(child, bottomLevel, activityLevel);
             }
 
             // Only add activity details to nodes that match the bottom level
             if (node.type === bottomLevel) {
-                const collectedActivities = collectActivityDetails(node);
+                const collectedActivities = collectActivityDetails(node, activityLevel);
                 if (collectedActivities.length > 0) {
                     node.activityDetails = collectedActivities;
                 }
@@ -343,300 +379,509 @@ const removeChildrenAtBottomLevel = (node, bottomLevel) => {
 };
 
 /**
- * Builds a hierarchical record structure for report generation
+ * Activity status values counted as complete when none are configured (compared case-insensitively)
  */
-export const buildHierarchicalRecordList = (
-    topLevel,
-    topLevelId,
-    bottomLevel,
-    workplanSourcesTable,
-    goalsTable,
-    objectivesTable,
-    activitiesTable,
-    workplanSources,
-    goals,
-    objectives,
-    activities,
-    goalsLinkField,
-    objectivesLinkField,
-    objectivesToSourcesLinkField,
-    activitiesLinkField,
-    startDate,
-    endDate,
-    activitiesStartDateField,
-    activitiesEndDateField,
-    ttaSessions,
-    ttaSessionsLinkField,
-    ttaSummaryForAIFieldId,
-    ttaDateField,
-    activitiesCommentsFieldId = 'fldkAnMJgK3XdrGF4',
-    activitiesStatusFieldId = 'fld6Cro64lmv8jrd3'
-) => {
-    // Determine if this is a Board Plan report
-    const boardPlanSourceId = findBoardPlanSource(
-        topLevel,
-        topLevelId,
-        workplanSources,
-        goals,
-        objectives,
-        goalsLinkField,
-        objectivesLinkField,
-        objectivesToSourcesLinkField
-    );
+export const DEFAULT_COMPLETE_STATUSES = ['Complete', 'Completed', 'Done'];
 
-    const isBoardPlan = boardPlanSourceId !== null;
+/**
+ * Summarizes the distinct activities (ID → status) and sessions (ID → day) under a node
+ * percentComplete only counts activities whose status was read (undefined when the Status
+ * field is not mapped), and is null when there are none
+ */
+const summarizeStats = (activities, sessions, completeStatuses) => {
+    const statusCounts = {};
+    let activitiesWithStatus = 0;
+    let completeActivities = 0;
+
+    for (const status of activities.values()) {
+        if (status === undefined) continue;
+
+        const label = status || 'No status';
+        statusCounts[label] = (statusCounts[label] || 0) + 1;
+        activitiesWithStatus++;
+        if (completeStatuses.has(status.toLowerCase())) {
+            completeActivities++;
+        }
+    }
 
-    let root = null;
+    const sessionDays = Array.from(sessions.values()).filter(Boolean).sort();
 
-    switch (topLevel) {
-        case 'workplanSource': {
-            const topRecord = workplanSources.find(ws => ws.id === topLevelId);
-            if (!topRecord) return null;
+    return {
+        activities: activities.size,
+        statusCounts,
+        sessions: sessions.size,
+        firstSessionDate: sessionDays[0] || null,
+        lastSessionDate: sessionDays[sessionDays.length - 1] || null,
+        percentComplete: activitiesWithStatus > 0
+            ? Math.round((completeActivities / activitiesWithStatus) * 100)
+            : null,
+    };
+};
 
-            root = createRecordObject(topRecord, workplanSourcesTable, 'workplanSource');
+/**
+ * Attaches roll-up stats to every node in a tree (see summarizeStats)
+ * Must run before roll-up and pruning, while every activity and session is still in place
+ * getActivityStatus reads an activity's status whatever its mode, not just for Board Plan activities
+ * Returns the activities and sessions found under the node
+ */
+const addStats = (node, completeStatuses, activityLevel, getActivityStatus) => {
+    const activities = new Map();
+    const sessions = new Map();
 
-            // Get linked goals
-            const linkedGoals = goals.filter(goal => {
-                const linked = goal.getCellValue(goalsLinkField?.id);
-                return linked && linked.some(l => l.id === topLevelId);
-            });
+    if (node.type === activityLevel) {
+        activities.set(node.recordId, getActivityStatus(node.recordId));
+    }
+    for (const session of node.ttaSessions || []) {
+        sessions.set(session.id, session.date);
+    }
 
-            if (linkedGoals.length > 0) {
-                // Normal path: workplan source → goals → objectives → activities
-                for (const goal of linkedGoals) {
-                    const goalObj = createRecordObject(goal, goalsTable, 'goal');
-
-                    // Get linked objectives
-                    const linkedObjectives = objectives.filter(obj => {
-                        const linked = obj.getCellValue(objectivesLinkField?.id);
-                        return linked && linked.some(l => l.id === goal.id);
-                    });
-
-                    for (const objective of linkedObjectives) {
-                        const objObj = createRecordObject(objective, objectivesTable, 'objective');
-
-                        // Always get linked activities
-                        const linkedActivities = activities.filter(activity => {
-                            const linked = activity.getCellValue(activitiesLinkField?.id);
-                            return linked && linked.some(l => l.id === objective.id) &&
-                                   isActivityInDateRange(activity, startDate, endDate, activitiesStartDateField, activitiesEndDateField);
-                        });
-
-                        for (const activity of linkedActivities) {
-                            let actObj;
-                            if (isBoardPlan) {
-                                actObj = createActivityObjectWithDetails(activity, activitiesTable, startDate, endDate, activitiesStartDateField, activitiesEndDateField, activitiesCommentsFieldId, activitiesStatusFieldId);
-                            } else {
-                                actObj = createRecordObjectWithTTA(activity, activitiesTable, 'activity', ttaSessions, ttaSessionsLinkField, startDate, endDate, ttaDateField, ttaSummaryForAIFieldId);
-                            }
-                            objObj.children.push(actObj);
-                        }
-
-                        goalObj.children.push(objObj);
-                    }
-
-                    root.children.push(goalObj);
-                }
-            } else {
-                // No goals: workplan source → objectives → activities (skip goal level)
-                const linkedObjectives = objectives.filter(obj => {
-                    const linked = obj.getCellValue(objectivesToSourcesLinkField?.id);
-                    return linked && linked.some(l => l.id === topLevelId);
-                });
-
-                for (const objective of linkedObjectives) {
-                    const objObj = createRecordObject(objective, objectivesTable, 'objective');
-
-                    // Always get linked activities
-                    const linkedActivities = activities.filter(activity => {
-                        const linked = activity.getCellValue(activitiesLinkField?.id);
-                        return linked && linked.some(l => l.id === objective.id) &&
-                               isActivityInDateRange(activity, startDate, endDate, activitiesStartDateField, activitiesEndDateField);
-                    });
-
-                    for (const activity of linkedActivities) {
-                        let actObj;
-                        if (isBoardPlan) {
-                            actObj = createActivityObjectWithDetails(activity, activitiesTable, startDate, endDate, activitiesStartDateField, activitiesEndDateField, activitiesCommentsFieldId, activitiesStatusFieldId);
-                        } else {
-                            actObj = createRecordObjectWithTTA(activity, activitiesTable, 'activity', ttaSessions, ttaSessionsLinkField, startDate, endDate, ttaDateField, ttaSummaryForAIFieldId);
-                        }
-                        objObj.children.push(actObj);
-                    }
-
-                    root.children.push(objObj);
-                }
-            }
+    for (const child of node.children || []) {
+        const childFound = addStats(child, completeStatuses, activityLevel, getActivityStatus);
+        childFound.activities.forEach((status, id) => activities.set(id, status));
+        childFound.sessions.forEach((date, id) => sessions.set(id, date));
+    }
 
-            break;
-        }
+    node.stats = summarizeStats(activities, sessions, completeStatuses);
+    return { activities, sessions };
+};
 
-        case 'goal': {
-            const topRecord = goals.find(g => g.id === topLevelId);
-            if (!topRecord) return null;
+/**
+ * Counts the distinct records of each level and the T/TA sessions in a tree
+ * Must run before roll-up, while every activity and session is still in place
+ * Returns { byLevel: { [level]: count }, activities, sessions, boardPlanActivities }
+ */
+const countHierarchy = (root, levels) => {
+    const activityLevel = levels[levels.length - 1];
+    const idsByLevel = Object.fromEntries(levels.map(level => [level, new Set()]));
+    const sessionIds = new Set();
+    const boardPlanActivityIds = new Set();
 
-            root = createRecordObject(topRecord, goalsTable, 'goal');
+    const traverse = (n) => {
+        if (idsByLevel[n.type]) {
+            idsByLevel[n.type].add(n.recordId);
+        }
+        if (n.type === activityLevel && n.activityStatus !== undefined) {
+            boardPlanActivityIds.add(n.recordId);
+        }
+        for (const session of n.ttaSessions || []) {
+            sessionIds.add(session.id);
+        }
+        for (const child of n.children || []) {
+            traverse(child);
+        }
+    };
 
-            // Get linked objectives
-            const linkedObjectives = objectives.filter(obj => {
-                const linked = obj.getCellValue(objectivesLinkField?.id);
-                return linked && linked.some(l => l.id === topLevelId);
-            });
+    if (root) traverse(root);
 
-            for (const objective of linkedObjectives) {
-                const objObj = createRecordObject(objective, objectivesTable, 'objective');
-
-                // Always get linked activities
-                const linkedActivities = activities.filter(activity => {
-                    const linked = activity.getCellValue(activitiesLinkField?.id);
-                    return linked && linked.some(l => l.id === objective.id) &&
-                           isActivityInDateRange(activity, startDate, endDate, activitiesStartDateField, activitiesEndDateField);
-                });
-
-                for (const activity of linkedActivities) {
-                    let actObj;
-                    if (isBoardPlan) {
-                        actObj = createActivityObjectWithDetails(activity, activitiesTable, startDate, endDate, activitiesStartDateField, activitiesEndDateField, activitiesCommentsFieldId, activitiesStatusFieldId);
-                    } else {
-                        actObj = createRecordObjectWithTTA(activity, activitiesTable, 'activity', ttaSessions, ttaSessionsLinkField, startDate, endDate, ttaDateField, ttaSummaryForAIFieldId);
-                    }
-                    objObj.children.push(actObj);
-                }
+    const byLevel = {};
+    for (const level of levels) {
+        byLevel[level] = idsByLevel[level].size;
+    }
 
-                root.children.push(objObj);
-            }
+    return {
+        byLevel,
+        activities: byLevel[activityLevel],
+        sessions: sessionIds.size,
+        boardPlanActivities: boardPlanActivityIds.size,
+    };
+};
 
-            break;
-        }
+/**
+ * Builds a hierarchical record structure for report generation, plus per-level counts
+ * Returns { tree, counts, excludedActivities }, where tree is null when nothing matches
+ * and excludedActivities lists the activities the date filter dropped, with the reason.
+ * Every node carries `stats` (see summarizeStats) counted over its whole subtree, so they
+ * stay accurate after roll-up prunes the levels below the bottom level.
+ *
+ * Options:
+ *   levels      - { selections, bottom }: the records the report is about, as [{ level, recordId }],
+ *                 and the detail level. { top, topId } is accepted in place of a single selection.
+ *                 Several selections are combined under a synthetic 'report' root; activities
+ *                 shared between selections are only included under the first one, while shared
+ *                 sessions stay on every activity they link to.
+ *   range       - { startDate, endDate, policy, timeZone }: optional inclusive 'YYYY-MM-DD' bounds,
+ *                 how activities with missing dates are treated (see DEFAULT_DATE_POLICY), and the
+ *                 IANA time zone date-time values are read in (see dateRange.js)
+ *   hierarchy   - the levels from top to bottom as { key, parentLinkFieldId, skipLinks } (see
+ *                 buildRecordIndex). The top level holds the workplan sources Board Plan detection
+ *                 looks at; the bottom level holds the activities. Defaults to getLegacyHierarchy(fields).
+ *   fields      - field IDs keyed like FIELD_SETTINGS (activitiesStartDate, ttaSummaryForAI, ...)
+ *   mode        - { isBoardPlanSource }: predicate deciding whether a workplan source is a Board Plan.
+ *                 Each activity's mode comes from the sources it belongs to (see getRecordModes).
+ *   tables      - table IDs keyed by level, copied onto each node as tableId
+ *   completeStatuses - activity statuses counted as complete in each node's stats
+ *                 (DEFAULT_COMPLETE_STATUSES when omitted)
+ *   extraFields - { [level]: [{ id, name }] }: more fields to send for each level ('ttaSession' for
+ *                 sessions), read as strings into the node's or session's `fields` by field name
+ *   dimension   - optional { fieldId, fieldName, tableId, value: { id, name } } (see dimension.js):
+ *                 builds the report from the T/TA sessions with that value instead, grouped back up
+ *                 through the hierarchy under a 'dimension' root. levels.selections is ignored; the
+ *                 selections are the top-level records of the matching sessions' activities (or
+ *                 the activities themselves when they reach no top-level record), and only
+ *                 branches leading to a matching session are kept.
+ *   records     - { levels: { [level]: records }, ttaSessions }
+ *   adapter     - how records are read (see recordAdapter.js), Airtable records by default
+ *   recordIndex - a prebuilt buildRecordIndex result; built from records when omitted
+ */
+export const buildReport = ({
+    levels,
+    range = {},
+    hierarchy,
+    fields,
+    mode = {},
+    tables = {},
+    extraFields = {},
+    completeStatuses = DEFAULT_COMPLETE_STATUSES,
+    dimension = null,
+    records,
+    adapter = airtableRecordAdapter,
+    recordIndex = buildRecordIndex(records, hierarchy || getLegacyHierarchy(fields), fields, adapter),
+}) => {
+    const { bottom: bottomLevel } = levels;
+    const hierarchyLevels = recordIndex.levels;
+    const activityLevel = hierarchyLevels[hierarchyLevels.length - 1];
+    const dateRange = createDateRange(range.startDate, range.endDate, range.timeZone);
+    const options = { range, dateRange, fields, tables, extraFields, adapter, recordIndex, activityLevel, dimension };
+
+    // Sessions a dimension report is about: those with the dimension value, within the date range
+    const isDimensionSession = (session) => {
+        const sessionDate = adapter.getValue(session, fields.ttaSessionsDate);
+        return (!dateRange.isSet || dateRange.contains(sessionDate)) && sessionMatchesDimension(session, dimension, adapter);
+    };
 
-        case 'objective': {
-            const topRecord = objectives.find(o => o.id === topLevelId);
-            if (!topRecord) return null;
+    // Helper to check whether an activity has any session a dimension report is about
+    const hasDimensionSession = (activity) => (
+        recordIndex.sessionsToActivities.getChildren(activity.id).some(isDimensionSession)
+    );
 
-            root = createRecordObject(topRecord, objectivesTable, 'objective');
+    // Helper to find the records a dimension report starts from: the top-level records of every
+    // activity with a matching session, in session order, or the activity when it has none
+    const getDimensionSelections = () => {
+        const dimensionSelections = new Map();
+        const addSelection = (level, recordId) => {
+            dimensionSelections.set(`${level}:${recordId}`, { level, recordId });
+        };
 
-            // Always get linked activities
-            const linkedActivities = activities.filter(activity => {
-                const linked = activity.getCellValue(activitiesLinkField?.id);
-                return linked && linked.some(l => l.id === topLevelId) &&
-                       isActivityInDateRange(activity, startDate, endDate, activitiesStartDateField, activitiesEndDateField);
-            });
+        for (const session of recordIndex.ttaSessions.values()) {
+            if (!isDimensionSession(session)) continue;
 
-            for (const activity of linkedActivities) {
-                let actObj;
-                if (isBoardPlan) {
-                    actObj = createActivityObjectWithDetails(activity, activitiesTable, startDate, endDate, activitiesStartDateField, activitiesEndDateField, activitiesCommentsFieldId, activitiesStatusFieldId);
-                } else {
-                    actObj = createRecordObjectWithTTA(activity, activitiesTable, 'activity', ttaSessions, ttaSessionsLinkField, startDate, endDate, ttaDateField, ttaSummaryForAIFieldId);
+            for (const activityId of recordIndex.sessionsToActivities.getParentIds(session.id)) {
+                if (!recordIndex.activities.has(activityId)) continue;
+
+                const sourceIds = getWorkplanSourceIds(activityLevel, activityId, recordIndex);
+                if (sourceIds.length === 0) {
+                    addSelection(activityLevel, activityId);
+                }
+                for (const sourceId of sourceIds) {
+                    addSelection(hierarchyLevels[0], sourceId);
                 }
-                root.children.push(actObj);
             }
+        }
+        return Array.from(dimensionSelections.values());
+    };
+
+    const selections = dimension
+        ? getDimensionSelections()
+        : levels.selections || [{ level: levels.top, recordId: levels.topId }];
+
+    // Activities dropped by the date filter, with the reason, for the report preview
+    const excludedActivities = new Map();
+
+    // Helper to apply the date filter to an activity, remembering why it was dropped
+    const isActivityInDateRange = (activity) => {
+        const reason = getDateRangeExclusion(activity, options);
+        if (reason && !excludedActivities.has(activity.id)) {
+            excludedActivities.set(activity.id, {
+                recordId: activity.id,
+                recordName: adapter.getName(activity),
+                reason,
+            });
+        }
+        return !reason;
+    };
 
-            break;
+    // Activities already emitted under an earlier selection, so shared activities are not
+    // repeated in combined reports. Shared sessions stay on every activity they link to:
+    // the payload's session table stores each one once.
+    const activityIdsFromEarlierSelections = new Set();
+
+    // Modes are decided per activity from the sources it belongs to, so one tree can mix
+    // Board Plan and T/TA branches
+    const isBoardPlanSource = mode.isBoardPlanSource || (() => false);
+
+    // Helper to create an activity node carrying status/comments (Board Plan), T/TA sessions, or both
+    const createActivityNode = (activity) => {
+        const modes = getRecordModes(activityLevel, activity.id, recordIndex, isBoardPlanSource);
+        // Dimension reports are about sessions, so Board Plan activities keep theirs too
+        if (!modes.tta && !dimension) {
+            return createActivityObjectWithDetails(activity, options);
         }
 
-        case 'activity': {
-            const topRecord = activities.find(a => a.id === topLevelId);
-            if (!topRecord) return null;
+        const actObj = createRecordObjectWithTTA(activity, activityLevel, options);
 
-            if (isActivityInDateRange(topRecord, startDate, endDate, activitiesStartDateField, activitiesEndDateField)) {
-                if (isBoardPlan) {
-                    return createActivityObjectWithDetails(topRecord, activitiesTable, startDate, endDate, activitiesStartDateField, activitiesEndDateField, activitiesCommentsFieldId, activitiesStatusFieldId);
-                } else {
-                    return createRecordObjectWithTTA(topRecord, activitiesTable, 'activity', ttaSessions, ttaSessionsLinkField, startDate, endDate, ttaDateField, ttaSummaryForAIFieldId);
-                }
+        if (modes.boardPlan) {
+            const details = createActivityObjectWithDetails(activity, options);
+            actObj.activityComments = details.activityComments;
+            actObj.activityStatus = details.activityStatus;
+        }
+        return actObj;
+    };
+
+    // Helper to get the records of a lower level linked to a record, through the parent
+    // link when the lower level is just below it, or else through a skip link
+    const getLinkedRecords = (childLevelIndex, parentLevel, parentId) => {
+        const childLevel = hierarchyLevels[childLevelIndex];
+        const linkIndex = hierarchyLevels[childLevelIndex - 1] === parentLevel
+            ? recordIndex.parentLinks[childLevel]
+            : recordIndex.skipLinks[childLevel][parentLevel];
+        if (!linkIndex) return [];
+
+        const linked = linkIndex.getChildren(parentId);
+        if (childLevel !== activityLevel) return linked;
+
+        // Activities are limited to the date range, and for dimension reports to those with a matching session
+        return linked.filter(activity =>
+            !activityIdsFromEarlierSelections.has(activity.id) &&
+            (!dimension || hasDimensionSession(activity)) && isActivityInDateRange(activity)
+        );
+    };
+
+    // Helper to build a record's node and everything below it. Children come from the level
+    // just below; a record with none there takes its children from the nearest lower level
+    // that skip-links to it (e.g. a workplan source without goals gets its objectives).
+    // In dimension reports, records without a matching session below them are left out (null).
+    const createNode = (record, levelIndex) => {
+        const level = hierarchyLevels[levelIndex];
+        if (level === activityLevel) {
+            return createActivityNode(record);
+        }
+
+        const node = createRecordObject(record, level, options);
+        for (let childLevelIndex = levelIndex + 1; childLevelIndex < hierarchyLevels.length; childLevelIndex++) {
+            const children = getLinkedRecords(childLevelIndex, level, record.id);
+            if (children.length > 0) {
+                node.children = children.map(child => createNode(child, childLevelIndex)).filter(Boolean);
+                if (!dimension || node.children.length > 0) break;
             }
+        }
+        return dimension && node.children.length === 0 ? null : node;
+    };
+
+    // Helper to build the tree for one selected record
+    const buildSelectionTree = (topLevel, topLevelId) => {
+        const levelIndex = hierarchyLevels.indexOf(topLevel);
+        const topRecord = levelIndex >= 0 ? recordIndex.byLevel[topLevel].get(topLevelId) : null;
+        if (!topRecord) return null;
+
+        if (topLevel === activityLevel) {
+            if (dimension && !hasDimensionSession(topRecord)) return null;
+            if (activityIdsFromEarlierSelections.has(topLevelId) || !isActivityInDateRange(topRecord)) return null;
+        }
+        return createNode(topRecord, levelIndex);
+    };
+
+    // Helper to remember what a selection emitted, for deduplication in later selections
+    const rememberEmittedRecords = (node) => {
+        if (node.type === activityLevel) {
+            activityIdsFromEarlierSelections.add(node.recordId);
+        }
+        for (const child of node.children) {
+            rememberEmittedRecords(child);
+        }
+    };
 
-            return null;
+    const selectionTrees = [];
+    for (const selection of selections) {
+        const tree = buildSelectionTree(selection.level, selection.recordId);
+        if (tree) {
+            rememberEmittedRecords(tree);
+            selectionTrees.push(tree);
         }
+    }
+
+    // A single selection is its own root; several form a forest under a synthetic report root.
+    // Dimension reports always sit under a root for the dimension value.
+    let root = null;
+    if (dimension) {
+        root = selectionTrees.length > 0 ? {
+            tableId: dimension.tableId || null,
+            recordId: dimension.value.id,
+            type: 'dimension',
+            recordName: `${dimension.fieldName}: ${dimension.value.name}`,
+            ttaSessions: [],
+            children: selectionTrees
+        } : null;
+    } else if (selections.length === 1) {
+        root = selectionTrees.length > 0 ? selectionTrees[0] : null;
+    } else if (selectionTrees.length > 0) {
+        root = {
+            tableId: null,
+            recordId: null,
+            type: 'report',
+            recordName: 'Combined report',
+            ttaSessions: [],
+            children: selectionTrees
+        };
+    }
 
-        default:
-            return null;
+    const counts = countHierarchy(root, hierarchyLevels);
+    if (root) {
+        const getActivityStatus = (activityId) => {
+            const activity = recordIndex.activities.get(activityId);
+            return activity && fields.activitiesStatus ? adapter.getString(activity, fields.activitiesStatus) || '' : undefined;
+        };
+        addStats(root, new Set(completeStatuses.map(status => status.toLowerCase())), activityLevel, getActivityStatus);
     }
 
-    // Post-processing based on whether it's a Board Plan and the bottom level
-    if (bottomLevel !== 'activity') {
-        if (isBoardPlan) {
-            addInheritedActivityDetails(root, bottomLevel);
-        } else {
-            addInheritedTTA(root, bottomLevel);
+    // Post-processing based on the bottom level. Both roll-ups run so mixed subtrees keep
+    // their Board Plan details and their T/TA sessions.
+    if (bottomLevel !== activityLevel) {
+        for (const tree of selectionTrees) {
+            addInheritedActivityDetails(tree, bottomLevel, activityLevel);
+            addInheritedTTA(tree, bottomLevel, activityLevel);
+            // Remove all children at the bottom level (for both Board Plans and regular T/TA)
+            removeChildrenAtBottomLevel(tree, bottomLevel);
         }
-        // Remove all children at the bottom level (for both Board Plans and regular T/TA)
-        removeChildrenAtBottomLevel(root, bottomLevel);
     }
 
-    return root;
+    return { tree: root, counts, excludedActivities: Array.from(excludedActivities.values()) };
+};
+
+/**
+ * Builds a hierarchical record structure for report generation
+ * Takes the same options as buildReport and returns just the tree
+ */
+export const buildHierarchicalRecordList = (options) => buildReport(options).tree;
+
+/**
+ * Converts a T/TA session to super compact format
+ */
+export const toCompactSession = (session) => {
+    const compactSession = { i: session.id, d: session.date || null, s: session.summary };
+    if (session.fields) {
+        compactSession.f = session.fields;
+    }
+    if (session.activities) {
+        compactSession.a = session.activities.map(activity => ({ i: activity.id, n: activity.name }));
+    }
+    return compactSession;
+};
+
+/**
+ * Restores a T/TA session from super compact format
+ */
+export const fromCompactSession = (compactSession) => {
+    const session = { id: compactSession.i || null, date: compactSession.d || null, summary: compactSession.s };
+    if (compactSession.f) {
+        session.fields = compactSession.f;
+    }
+    if (compactSession.a) {
+        session.activities = compactSession.a.map(activity => ({ id: activity.i || null, name: activity.n }));
+    }
+    return session;
 };
 
 /**
- * Converts the full hierarchical structure to super compact format
- * Removes tableId, recordId, and T/TA session IDs (not needed for report generation)
+ * Converts the full hierarchical structure to super compact format (short keys, empty lists left out)
+ * Keeps record and session IDs. tableId is left out, since it only depends on the node type;
+ * pass the type → table ID map to fromSuperCompactFormat to restore it.
  */
 export const toSuperCompactFormat = (node) => {
     if (!node) return null;
 
     const compact = {
         t: node.type,
+        i: node.recordId,
         n: node.recordName,
     };
 
-    // Add T/TA sessions if present
+    // Add extra fields if present
+    if (node.fields) {
+        compact.f = node.fields;
+    }
+
+    // Add roll-up stats if present
+    if (node.stats) {
+        compact.st = node.stats;
+    }
+
+    // Add T/TA sessions if present. Session table keys (see payloadFormat.js) are kept as they are
     if (node.ttaSessions && node.ttaSessions.length > 0) {
-        compact.tta = node.ttaSessions.map(s => s.summary);
+        compact.tta = node.ttaSessions.map(session => (typeof session === 'string' ? session : toCompactSession(session)));
     }
 
     // Add activity details if present (Board Plan)
     if (node.activityDetails && node.activityDetails.length > 0) {
-        compact.ad = node.activityDetails.map(a => ({
-            n: a.recordName,
-            c: a.comments,
-            s: a.status
-        }));
+        compact.ad = node.activityDetails.map(a => {
+            const detail = {
+                i: a.recordId,
+                n: a.recordName,
+                c: a.comments,
+                s: a.status
+            };
+            if (a.fields) {
+                detail.f = a.fields;
+            }
+            return detail;
+        });
     }
 
     // Add individual activity fields if present (Board Plan leaf nodes)
-    if (node.activityComments || node.activityStatus) {
+    if (node.activityStatus !== undefined) {
         compact.ac = node.activityComments || '';
         compact.as = node.activityStatus || '';
     }
 
-    compact.c = node.children.map(child => toSuperCompactFormat(child));
+    if (node.children && node.children.length > 0) {
+        compact.c = node.children.map(child => toSuperCompactFormat(child));
+    }
 
     return compact;
 };
 
 /**
  * Restore full format from super compact
- * Note: tableId and recordId will be null since they're not stored
+ * tableId comes from the type → table ID map, and is null for types missing from it.
+ * Missing lists (c, tta) restore as empty lists.
  */
-export const fromSuperCompactFormat = (compact) => {
+export const fromSuperCompactFormat = (compact, tables = {}) => {
     if (!compact) return null;
 
     const node = {
-        tableId: null,
-        recordId: null,
+        tableId: tables[compact.t] || null,
+        recordId: compact.i || null,
         type: compact.t,
         recordName: compact.n,
-        children: compact.c.map(child => fromSuperCompactFormat(child))
+        children: (compact.c || []).map(child => fromSuperCompactFormat(child, tables))
     };
 
-    // Restore T/TA sessions if present
-    if (compact.tta) {
-        node.ttaSessions = compact.tta.map(summary => ({
-            id: null,
-            summary: summary
-        }));
-    } else {
-        node.ttaSessions = [];
+    // Restore extra fields if present
+    if (compact.f) {
+        node.fields = compact.f;
     }
 
+    // Restore roll-up stats if present
+    if (compact.st) {
+        node.stats = compact.st;
+    }
+
+    // Restore T/TA sessions if present
+    node.ttaSessions = (compact.tta || []).map(session => (typeof session === 'string' ? session : fromCompactSession(session)));
+
     // Restore activity details if present (Board Plan)
     if (compact.ad) {
-        node.activityDetails = compact.ad.map(a => ({
-            recordName: a.n,
-            comments: a.c,
-            status: a.s
-        }));
+        node.activityDetails = compact.ad.map(a => {
+            const detail = {
+                recordId: a.i || null,
+                recordName: a.n,
+                comments: a.c,
+                status: a.s
+            };
+            if (a.f) {
+                detail.fields = a.f;
+            }
+            return detail;
+        });
     }
 
     // Restore individual activity fields if present (Board Plan leaf nodes)
@@ -0,0 +1,160 @@
+/**
+ * How report payloads travel to the backend.
+ *
+ * The payload JSON is encoded for transport (see payloadEncoding.js), then cut into chunks of at
+ * most CHUNK_SIZE characters, each stored in its own record of the Report Chunks table, linked to
+ * the request and numbered from 1. The request carries a manifest (JSON in its Payload Manifest field):
+ *   { version, payloadFormat, contentEncoding, chunkCount, totalLength, sha256 }
+ * where payloadFormat is the Payload Format value (e.g. 'compact-v2'), contentEncoding is how the
+ * JSON was encoded ('identity' or 'deflate-base64'), and totalLength and sha256 describe the
+ * transported text: its characters, and the hex SHA-256 of its UTF-8 bytes. Version 1 manifests
+ * had no contentEncoding; their chunks hold the JSON as is.
+ *
+ * The extension writes the request with Status 'Uploading', writes the chunks, reads them back
+ * and checks them against the manifest with reassembleChunks, and only then sets Status to
+ * 'Pending', which is what starts generation. The backend should run the same check, then
+ * decodeContent, before it parses the payload. A user can cancel a request at any point after that,
+ * which sets Status to 'Cancelled'; the extension ignores anything written to it afterwards.
+ * While generating, the backend reports progress as described in reportProgress.js.
+ */
+export const CHUNK_TRANSPORT_VERSION = 2;
+const READABLE_VERSIONS = [1, CHUNK_TRANSPORT_VERSION];
+
+// Long Text cells hold up to 100,000 characters
+export const CHUNK_SIZE = 100000;
+
+// createRecordsAsync takes at most 50 records per call
+const RECORDS_PER_BATCH = 50;
+
+// Whether a UTF-16 code unit is the first half of a surrogate pair (e.g. most emoji)
+const isHighSurrogate = (code) => code >= 0xd800 && code <= 0xdbff;
+
+/**
+ * Cuts a payload into chunks of at most `size` characters
+ * A cut never splits a surrogate pair, since a cell may not keep half of one as is
+ */
+export const splitIntoChunks = (text, size = CHUNK_SIZE) => {
+    const chunks = [];
+    for (let i = 0; i < text.length;) {
+        let end = Math.min(i + size, text.length);
+        if (end < text.length && end - i > 1 && isHighSurrogate(text.charCodeAt(end - 1))) {
+            end--;
+        }
+        chunks.push(text.substring(i, end));
+        i = end;
+    }
+    return chunks;
+};
+
+/**
+ * Hex SHA-256 of a string's UTF-8 bytes
+ */
+export const sha256Hex = async (text) => {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+};
+
+/**
+ * Describes the transported text and its chunks for the receiving side
+ */
+export const createManifest = async (payload, chunks, payloadFormat, contentEncoding = 'identity') => ({
+    version: CHUNK_TRANSPORT_VERSION,
+    payloadFormat,
+    contentEncoding,
+    chunkCount: chunks.length,
+    totalLength: payload.length,
+    sha256: await sha256Hex(payload),
+});
+
+/**
+ * Puts chunks back together and checks the result against the manifest
+ * chunks are [{ index, data }] in any order, numbered from 1
+ * Returns the transported text (decode it with decodeContent), or throws an Error saying what does not match
+ */
+export const reassembleChunks = async (chunks, manifest) => {
+    if (!manifest || !READABLE_VERSIONS.includes(manifest.version)) {
+        throw new Error(`Unsupported chunk manifest version: ${manifest ? manifest.version : 'none'}`);
+    }
+    if (chunks.length !== manifest.chunkCount) {
+        throw new Error(`Expected ${manifest.chunkCount} chunks, found ${chunks.length}`);
+    }
+
+    const sorted = [...chunks].sort((a, b) => a.index - b.index);
+    sorted.forEach((chunk, i) => {
+        if (chunk.index !== i + 1) {
+            throw new Error(`Chunk ${i + 1} is missing or duplicated`);
+        }
+    });
+
+    const payload = sorted.map(chunk => chunk.data).join('');
+    if (payload.length !== manifest.totalLength) {
+        throw new Error(`Expected ${manifest.totalLength} characters, reassembled ${payload.length}`);
+    }
+    if (await sha256Hex(payload) !== manifest.sha256) {
+        throw new Error('The reassembled payload does not match the manifest checksum');
+    }
+    return payload;
+};
+
+/**
+ * Creates the chunk records of a request in the Report Chunks table
+ * fieldIds: { requestLink, index, data }
+ */
+export const writeChunks = async (chunksTable, fieldIds, requestId, chunks) => {
+    const records = chunks.map((data, i) => ({
+        fields: {
+            [fieldIds.requestLink]: [{ id: requestId }],
+            [fieldIds.index]: i + 1,
+            [fieldIds.data]: data,
+        },
+    }));
+
+    for (let i = 0; i < records.length; i += RECORDS_PER_BATCH) {
+        await chunksTable.createRecordsAsync(records.slice(i, i + RECORDS_PER_BATCH));
+    }
+};
+
+/**
+ * Reads back the chunk records linked to a request, as [{ index, data }]
+ * Only this request's chunks are loaded, through the Report Requests side of the chunk link.
+ * A one-way link has no such field; then every chunk's link is checked (slower as chunks pile up).
+ * fieldIds: { requestLink, index, data }
+ */
+export const readChunks = async (requestsTable, chunksTable, fieldIds, requestId) => {
+    const chunkFields = [fieldIds.requestLink, fieldIds.index, fieldIds.data];
+    const toChunk = (record) => ({
+        index: record.getCellValue(fieldIds.index),
+        data: record.getCellValueAsString(fieldIds.data),
+    });
+
+    const linkField = chunksTable.getFieldByIdIfExists(fieldIds.requestLink);
+    const inverseLinkFieldId = linkField && linkField.options ? linkField.options.inverseLinkFieldId : null;
+
+    if (inverseLinkFieldId) {
+        const requestsQueryResult = await requestsTable.selectRecordsAsync({ fields: [inverseLinkFieldId] });
+        try {
+            const request = requestsQueryResult.getRecordByIdIfExists(requestId);
+            if (!request) {
+                throw new Error('The report request was deleted');
+            }
+
+            const chunksQueryResult = await request.selectLinkedRecordsFromCellAsync(inverseLinkFieldId, { fields: chunkFields });
+            try {
+                return chunksQueryResult.records.map(toChunk);
+            } finally {
+                chunksQueryResult.unloadData();
+            }
+        } finally {
+            requestsQueryResult.unloadData();
+        }
+    }
+
+    const queryResult = await chunksTable.selectRecordsAsync({ fields: chunkFields });
+    try {
+        return queryResult.records
+            .filter(record => (record.getCellValue(fieldIds.requestLink) || []).some(link => link.id === requestId))
+            .map(toChunk);
+    } finally {
+        queryResult.unloadData();
+    }
+};
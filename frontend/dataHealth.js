@@ -0,0 +1,87 @@
+import { airtableRecordAdapter } from './recordAdapter';
+
+// 'a goal', 'an objective'
+const withArticle = (label) => `${/^[aeiou]/i.test(label) ? 'an' : 'a'} ${label}`;
+
+/**
+ * Data health checks for a hierarchy, in the order they are listed: one per level below the top
+ * for records linked to no level above, then the T/TA session and activity checks.
+ * Records failing them never reach a report, or reach it without the data the AI needs.
+ *
+ * hierarchy lists the levels from top to bottom as { key, label, skipLinks: [{ level }] }
+ */
+export const getDataHealthChecks = (hierarchy) => {
+    const activityLabel = hierarchy.length > 0 ? hierarchy[hierarchy.length - 1].label.toLowerCase() : 'activity';
+
+    const orphanChecks = hierarchy.slice(1).map((level, i) => {
+        const parentLabels = [hierarchy[i], ...(level.skipLinks || [])
+            .map(skipLink => hierarchy.find(other => other.key === skipLink.level))
+            .filter(Boolean)]
+            .map(parent => parent.label.toLowerCase());
+
+        return {
+            key: `${level.key}WithoutParent`,
+            label: `${level.label} records not linked to ${withArticle(parentLabels.join(' or '))}`,
+            detail: `No ${parentLabels.join(' or ')}`,
+        };
+    });
+
+    return [
+        ...orphanChecks,
+        { key: 'sessionWithoutActivity', label: `T/TA sessions not linked to ${withArticle(activityLabel)}` },
+        { key: 'sessionWithoutSummary', label: 'T/TA sessions with an empty AI summary' },
+        { key: 'activityMissingDates', label: `${hierarchy.length > 0 ? hierarchy[hierarchy.length - 1].label : 'Activity'} records missing a start or end date` },
+    ];
+};
+
+/**
+ * Finds orphaned records and records missing data the report depends on
+ * Returns { [check key]: [{ record, level, detail }] } for every check getDataHealthChecks lists
+ */
+export const findDataHealthIssues = (hierarchy, fields, recordIndex, adapter = airtableRecordAdapter) => {
+    const checks = getDataHealthChecks(hierarchy);
+    const issues = {};
+    for (const check of checks) {
+        issues[check.key] = [];
+    }
+
+    // Only links to records that still exist count
+    const hasLinkIn = (parentIds, indexById) => parentIds.some(id => indexById.has(id));
+
+    const { levels, byLevel, parentLinks, skipLinks } = recordIndex;
+    levels.forEach((level, i) => {
+        if (i === 0) return;
+
+        const check = checks.find(other => other.key === `${level}WithoutParent`);
+        for (const record of byLevel[level].values()) {
+            const hasParent = hasLinkIn(parentLinks[level].getParentIds(record.id), byLevel[levels[i - 1]]) ||
+                Object.entries(skipLinks[level]).some(([targetLevel, link]) => (
+                    hasLinkIn(link.getParentIds(record.id), byLevel[targetLevel] || new Map())
+                ));
+            if (!hasParent) {
+                issues[check.key].push({ record, level, detail: check.detail });
+            }
+        }
+    });
+
+    const activityLevel = levels[levels.length - 1];
+    for (const activity of recordIndex.activities.values()) {
+        const hasStart = Boolean(adapter.getValue(activity, fields.activitiesStartDate));
+        const hasEnd = Boolean(adapter.getValue(activity, fields.activitiesEndDate));
+        if (!hasStart || !hasEnd) {
+            const detail = !hasStart && !hasEnd ? 'No start or end date' : (!hasStart ? 'No start date' : 'No end date');
+            issues.activityMissingDates.push({ record: activity, level: activityLevel, detail });
+        }
+    }
+
+    for (const session of recordIndex.ttaSessions.values()) {
+        if (!hasLinkIn(recordIndex.sessionsToActivities.getParentIds(session.id), recordIndex.activities)) {
+            issues.sessionWithoutActivity.push({ record: session, level: 'ttaSession', detail: `No ${activityLevel}` });
+        }
+        if (!adapter.getString(session, fields.ttaSummaryForAI).trim()) {
+            issues.sessionWithoutSummary.push({ record: session, level: 'ttaSession', detail: 'Empty AI summary' });
+        }
+    }
+
+    return issues;
+};
@@ -0,0 +1,86 @@
+/**
+ * Date handling shared by the hierarchy builder and the UI.
+ *
+ * Everything is compared as calendar days ('YYYY-MM-DD' strings), never as Date
+ * objects: `new Date('2025-03-31')` is UTC midnight, which puts late-day sessions
+ * outside an inclusive end date and shifts dates for anyone west of UTC.
+ */
+
+const DATE_ONLY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Converts a date or date-time cell value to a calendar day ('YYYY-MM-DD')
+ * Date-only values are used as-is; date-times are read in the given IANA time zone
+ * (the runtime's local zone when none is given). Returns null for empty or invalid values.
+ */
+export const toDayKey = (value, timeZone) => {
+    if (!value) return null;
+    if (typeof value === 'string' && DATE_ONLY_PATTERN.test(value)) return value;
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (isNaN(date.getTime())) return null;
+
+    const parts = {};
+    const formatter = new Intl.DateTimeFormat('en-US', {
+        timeZone: timeZone || undefined,
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+    });
+    for (const part of formatter.formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    return `${parts.year}-${parts.month}-${parts.day}`;
+};
+
+/**
+ * Creates an inclusive range of calendar days. Either bound may be empty for an open range.
+ * The end date includes its whole day in the given time zone.
+ */
+export const createDateRange = (startDate, endDate, timeZone) => {
+    const start = startDate || null;
+    const end = endDate || null;
+
+    return {
+        isSet: Boolean(start || end),
+        start,
+        end,
+
+        // Whether a date or date-time value falls within the range
+        contains: (value) => {
+            const day = toDayKey(value, timeZone);
+            if (!day) return false;
+            if (start && day < start) return false;
+            if (end && day > end) return false;
+            return true;
+        },
+
+        // Whether the span from fromValue to toValue overlaps the range (a missing bound is open)
+        overlaps: (fromValue, toValue) => {
+            const from = toDayKey(fromValue, timeZone);
+            const to = toDayKey(toValue, timeZone);
+            if (start && to && to < start) return false;
+            if (end && from && from > end) return false;
+            return true;
+        },
+    };
+};
+
+/**
+ * Formats a 'YYYY-MM-DD' day for display without shifting it into another time zone
+ */
+export const formatDay = (day) => {
+    if (!day) return '';
+    const [year, month, date] = day.split('-').map(Number);
+    return new Date(Date.UTC(year, month - 1, date)).toLocaleDateString(undefined, { timeZone: 'UTC' });
+};
+
+/**
+ * Gets the IANA time zone configured on an Airtable date-time field, if it has a fixed one
+ * Returns undefined for date-only fields and fields shown in each viewer's local time
+ */
+export const getFieldTimeZone = (field) => {
+    const timeZone = field?.options?.timeZone;
+    if (!timeZone || timeZone === 'client') return undefined;
+    return timeZone === 'utc' ? 'UTC' : timeZone;
+};
@@ -0,0 +1,49 @@
+import { airtableRecordAdapter } from './recordAdapter';
+
+/**
+ * Dimension reports start from a field on T/TA Sessions instead of the plan hierarchy, e.g.
+ * every session delivered to one grantee or by one staff member. A dimension is
+ *   { fieldId, fieldName, tableId, value: { id, name } }
+ * where value is one linked record, select option or collaborator of that field, and tableId
+ * is the linked table for link fields (null otherwise).
+ */
+
+/**
+ * Reads the values of a link, select or collaborator cell as [{ id, name }]
+ * Plain strings (e.g. JSON fixtures) are their own ID and name
+ */
+export const getDimensionValues = (cellValue) => {
+    if (cellValue === null || cellValue === undefined) return [];
+
+    const values = Array.isArray(cellValue) ? cellValue : [cellValue];
+    return values.map(value => (typeof value === 'object'
+        ? { id: value.id, name: value.name || value.email || value.id }
+        : { id: String(value), name: String(value) }));
+};
+
+/**
+ * Checks whether a session has the dimension's value in the dimension field
+ */
+export const sessionMatchesDimension = (session, dimension, adapter = airtableRecordAdapter) => {
+    return getDimensionValues(adapter.getValue(session, dimension.fieldId))
+        .some(value => value.id === dimension.value.id);
+};
+
+/**
+ * Lists every value used in a dimension field across the sessions, with how many sessions use it
+ * Returns [{ id, name, sessions }] sorted by name
+ */
+export const listDimensionValues = (sessions, fieldId, adapter = airtableRecordAdapter) => {
+    const valuesById = new Map();
+
+    for (const session of sessions) {
+        for (const value of getDimensionValues(adapter.getValue(session, fieldId))) {
+            if (!valuesById.has(value.id)) {
+                valuesById.set(value.id, { ...value, sessions: 0 });
+            }
+            valuesById.get(value.id).sessions++;
+        }
+    }
+
+    return Array.from(valuesById.values()).sort((a, b) => a.name.localeCompare(b.name));
+};
@@ -1,7 +1,7 @@
 import {
     initializeBlock,
-    useBase,
-    useRecords,
+    useLoadable,
+    useWatchable,
     Box,
     Heading,
     Text,
@@ -9,21 +9,75 @@ import {
     Label,
     Input,
     Icon,
+    useSettingsButton,
+    useSession,
 } from '@airtable/blocks/ui';
 import React, {useState, useMemo, useEffect, useRef} from 'react';
-import { buildHierarchicalRecordList, toSuperCompactFormat } from './buildHierarchy';
-
-// Convert camelCase or backend names to readable labels
-const getReadableLabel = (value) => {
-    const labelMap = {
-        'workplanSource': 'workplan source',
-        'goal': 'goal',
-        'objective': 'objective',
-        'activity': 'activity',
-    };
-    return labelMap[value] || value;
+import { buildReport, getRecordModes, toSuperCompactFormat, DEFAULT_DATE_POLICY } from './buildHierarchy';
+import { createBoardPlanMatcher, describeBoardPlanRule } from './boardPlan';
+import { buildRecordIndex, hasRecordsAtLevel } from './recordIndex';
+import { listDimensionValues } from './dimension';
+import { formatDay } from './dateRange';
+import { useSettings } from './settings';
+import SettingsView from './SettingsView';
+import DiagnosticsPanel from './DiagnosticsPanel';
+import DataHealthView from './DataHealthView';
+import ReportHistoryView from './ReportHistoryView';
+import DimensionPicker from './DimensionPicker';
+import NodeStats from './NodeStats';
+import PayloadReductions from './PayloadReductions';
+import ReportStatusTracker from './ReportStatusTracker';
+import PendingRequestList from './PendingRequestList';
+import { usePendingRequests } from './pendingRequests';
+import Spinner from './Spinner';
+import { fitPayloadToBudget } from './payloadBudget';
+import { splitIntoChunks, createManifest, reassembleChunks, writeChunks, readChunks } from './chunkTransport';
+import { validateSchema } from './schema';
+import { createReportParameters } from './reportParameters';
+
+// topLevel value for reports about a T/TA session field instead of a hierarchy level
+const DIMENSION_MODE = 'dimension';
+
+/**
+ * Loads and watches query results and returns their records (null for a missing query).
+ * queryResult.records is a new array on every read, so the arrays are kept until the data
+ * changes: memos that depend on them rebuild once per data change, not on every render.
+ */
+const useQueryRecords = (queryResults) => {
+    const [dataRevision, setDataRevision] = useState(0);
+    const loadedQueryResults = queryResults.filter(Boolean);
+
+    useLoadable(loadedQueryResults);
+    useWatchable(loadedQueryResults, ['records', 'cellValues'], () => setDataRevision(revision => revision + 1));
+
+    return useMemo(
+        () => queryResults.map(queryResult => (queryResult ? queryResult.records : null)),
+        [queryResults, dataRevision]
+    );
 };
 
+/**
+ * Loads and watches the records of every hierarchy level's table
+ * Returns records keyed by level, or null while any level has no table
+ */
+const useHierarchyRecords = (hierarchy) => {
+    // One query per level, recreated only when a level's table changes
+    const tablesKey = hierarchy.map(level => `${level.key}:${level.table ? level.table.id : ''}`).join(',');
+    const queryResults = useMemo(
+        () => hierarchy.map(level => (level.table ? level.table.selectRecords() : null)),
+        [tablesKey]
+    );
+    const records = useQueryRecords(queryResults);
+
+    return useMemo(() => {
+        if (records.some(levelRecords => !levelRecords)) return null;
+        return Object.fromEntries(hierarchy.map((level, i) => [level.key, records[i]]));
+    }, [records]);
+};
+
+// Plural of a level label, e.g. 'activity' -> 'activities'
+const pluralize = (label) => (/[^aeiou]y$/.test(label) ? `${label.slice(0, -1)}ies` : `${label}s`);
+
 // Simple fuzzy match function
 const fuzzyMatch = (searchTerm, target) => {
     const lowerSearch = searchTerm.toLowerCase();
@@ -53,18 +107,30 @@ const fuzzyMatch = (searchTerm, target) => {
 };
 
 function ReportSelectorApp() {
-    const base = useBase();
+    const settings = useSettings();
+    const schemaIssues = validateSchema(settings);
+
+    const [isShowingSettings, setIsShowingSettings] = useState(false);
+    useSettingsButton(() => setIsShowingSettings(!isShowingSettings));
+    const [isShowingDataHealth, setIsShowingDataHealth] = useState(false);
+    const [isShowingHistory, setIsShowingHistory] = useState(false);
+    const session = useSession();
 
     // State for selections
     const [startDate, setStartDate] = useState('');
     const [endDate, setEndDate] = useState('');
+    const [datePolicy, setDatePolicy] = useState(DEFAULT_DATE_POLICY); // how activities with missing dates are treated
 
-    // Top-level selection (what level the report is about)
-    const [topLevel, setTopLevel] = useState(''); // 'workplanSource', 'goal', 'objective', 'activity'
-    const [topLevelId, setTopLevelId] = useState(''); // single record ID
+    // Top-level selection (what the report is about)
+    const [topLevel, setTopLevel] = useState(''); // key of the hierarchy level being picked, or DIMENSION_MODE
+    const [selections, setSelections] = useState([]); // picked records, [{ level, recordId }]
     const [topLevelSearchTerm, setTopLevelSearchTerm] = useState(''); // for searching
     const [topLevelDropdownOpen, setTopLevelDropdownOpen] = useState(false); // dropdown open state
 
+    // Dimension selection (reports about one value of a T/TA session field)
+    const [dimensionFieldId, setDimensionFieldId] = useState('');
+    const [dimensionValueId, setDimensionValueId] = useState('');
+
     // Bottom-level selection (the granularity of detail)
     const [bottomLevel, setBottomLevel] = useState(''); // depends on topLevel
 
@@ -72,9 +138,15 @@ function ReportSelectorApp() {
     const [reportRequestId, setReportRequestId] = useState(''); // ID of the created report request
     const [isGenerating, setIsGenerating] = useState(false); // loading state
     const [generatedReport, setGeneratedReport] = useState(''); // the generated report content
+    const [trackedRequestId, setTrackedRequestId] = useState(''); // request being watched until it is Ready or Error
+    const [pendingRequestStates, setPendingRequestStates] = useState({}); // outcome fields of background requests, by request ID
     const [debugJsonOutput, setDebugJsonOutput] = useState(''); // for debugging JSON output
 
     const [jsonCharacterCount, setJsonCharacterCount] = useState(0);
+    const [payloadReductions, setPayloadReductions] = useState([]); // what was trimmed from the last generated report
+
+    // Requests that have not been shown yet, kept across reloads
+    const { pendingRequestIds, addPendingRequest, removePendingRequest } = usePendingRequests();
 
     // Ref for dropdown to handle click-outside
     const dropdownRef = useRef(null);
@@ -93,170 +165,152 @@ function ReportSelectorApp() {
         }
     }, [topLevelDropdownOpen]);
 
-    // Get tables - adjust these names to match your base
-    const workplanSourcesTable = base.getTableById('tbl72KzV8O1LBmUXj');
-    const goalsTable = base.getTableById('tbllMymEmuGkCucVM');
-    const objectivesTable = base.getTableById('tbl9wK640Z5ZY7e7U');
-    const activitiesTable = base.getTableById('tblzBApG5kIfiN9Bs');
-    const ttaSessionsTable = base.getTableById('tblPxitTbfIhuCfcw');
-    
-    // Load records
-    const workplanSources = useRecords(workplanSourcesTable);
-    const goals = useRecords(goalsTable);
-    const objectives = useRecords(objectivesTable);
-    const activities = useRecords(activitiesTable);
-    const ttaSessions = useRecords(ttaSessionsTable);
-    
-    // Find link fields (adjust field names as needed)
-    const goalsLinkField = goalsTable.getFieldById('fldIdc8oiivatAf3v')
-    
-    const objectivesLinkField = objectivesTable.getFieldById('fldSS5U6Ou0OZjjCJ')
-    
-    const objectivesToSourcesLinkField = objectivesTable.getFieldById('fldkQACpESCkddXpS')
+    // Get tables from the settings mapping
+    const { hierarchy, hierarchyIds } = settings;
+    const ttaSessionsTable = settings.tables.ttaSessions;
+    const reportRequestsTable = settings.tables.reportRequests;
+    const reportChunksTable = settings.tables.reportChunks;
+
+    // Hierarchy levels from top to bottom, as picker options
+    const levelOptions = hierarchy.map(level => ({ value: level.key, label: level.label }));
+    const levelOrder = levelOptions.map(option => option.value);
+    const getLevelLabel = (levelKey) => hierarchy.find(level => level.key === levelKey)?.label || levelKey;
+
+    // Table IDs by level, as the report nodes carry them
+    const levelTablesKey = hierarchyIds.map(level => `${level.key}:${level.tableId || ''}`).join(',');
+    const levelTableIds = useMemo(
+        () => Object.fromEntries(hierarchyIds.map(level => [level.key, level.tableId])),
+        [levelTablesKey]
+    );
 
-    const activitiesLinkField = activitiesTable.getFieldById('fldOg2Op1nWUYUgaW')
-    
-    const activitiesStartDateField = activitiesTable.getFieldById('fldKQTLdFNry5aZjw')
+    // Load records
+    const levelRecords = useHierarchyRecords(hierarchy);
+    const sessionQueryResults = useMemo(
+        () => [ttaSessionsTable ? ttaSessionsTable.selectRecords() : null],
+        [ttaSessionsTable ? ttaSessionsTable.id : '']
+    );
+    const [ttaSessions] = useQueryRecords(sessionQueryResults);
+
+    // Index records and links once per data change
+    const { fieldIds } = settings;
+    const recordIndex = useMemo(() => {
+        if (!levelRecords || !ttaSessions) return null;
+
+        return buildRecordIndex({ levels: levelRecords, ttaSessions }, hierarchyIds, fieldIds);
+    }, [levelRecords, ttaSessions, hierarchyIds, fieldIds]);
+
+    // The T/TA session field and value a dimension report is about
+    const isDimensionReport = topLevel === DIMENSION_MODE;
+    const dimensionField = isDimensionReport && ttaSessionsTable && dimensionFieldId
+        ? ttaSessionsTable.getFieldByIdIfExists(dimensionFieldId)
+        : null;
+    const dimensionValues = useMemo(
+        () => (dimensionField && ttaSessions ? listDimensionValues(ttaSessions, dimensionField.id) : []),
+        [dimensionField, ttaSessions]
+    );
+    const dimensionValue = dimensionValues.find(value => value.id === dimensionValueId);
+    const dimension = useMemo(() => {
+        if (!dimensionField || !dimensionValue) return null;
+
+        return {
+            fieldId: dimensionField.id,
+            fieldName: dimensionField.name,
+            tableId: dimensionField.options?.linkedTableId || null,
+            value: { id: dimensionValue.id, name: dimensionValue.name },
+        };
+    }, [dimensionField, dimensionValue?.id, dimensionValue?.name]);
 
-    const activitiesEndDateField = activitiesTable.getFieldById('fld4OE8aBXIPHWIdK')
+    // Whether the report has something to be about: selected records, or a dimension value
+    const hasReportSubject = isDimensionReport ? Boolean(dimension) : selections.length > 0;
 
-    const ttaSessionsLinkField = ttaSessionsTable.getFieldById('fldmE4r4v1OwA1xSY')
-    
-    const ttaSessionsDateField = ttaSessionsTable.getFieldById('fldXcKUaiiJTmCXRa')
-    
-    // Get the relevant IDs to filter sessions based on top/bottom level selections
-    const relevantActivityIds = useMemo(() => {
-        if (!topLevel || !topLevelId) return [];
-
-        // Build the chain of IDs based on the top level and bottom level
-        switch (topLevel) {
-            case 'workplanSource': {
-                // Filter activities based on workplan source and bottom level
-                if (bottomLevel === 'goal') {
-                    // Activities linked to goals linked to workplan source
-                    const goalIds = goals.filter(goal => {
-                        const linked = goal.getCellValue(goalsLinkField?.id);
-                        return linked && linked.some(l => l.id === topLevelId);
-                    }).map(g => g.id);
-
-                    return activities.filter(activity => {
-                        const linked = activity.getCellValue(activitiesLinkField?.id);
-                        return linked && linked.some(l => {
-                            const objLinkedToGoal = objectives.find(obj => obj.id === l.id);
-                            if (!objLinkedToGoal) return false;
-                            const objLinked = objLinkedToGoal.getCellValue(objectivesLinkField?.id);
-                            return objLinked && objLinked.some(ol => goalIds.includes(ol.id));
-                        });
-                    }).map(a => a.id);
-                } else if (bottomLevel === 'objective') {
-                    // Activities linked to objectives linked to workplan source
-                    const objIds = objectives.filter(obj => {
-                        const linked = obj.getCellValue(objectivesToSourcesLinkField?.id);
-                        return linked && linked.some(l => l.id === topLevelId);
-                    }).map(o => o.id);
-
-                    return activities.filter(activity => {
-                        const linked = activity.getCellValue(activitiesLinkField?.id);
-                        return linked && linked.some(l => objIds.includes(l.id));
-                    }).map(a => a.id);
-                } else if (bottomLevel === 'activity') {
-                    // Activities directly (need to trace back to workplan source)
-                    return activities.filter(activity => {
-                        const linkedObjs = activity.getCellValue(activitiesLinkField?.id);
-                        if (!linkedObjs) return false;
-                        return linkedObjs.some(lo => {
-                            const obj = objectives.find(o => o.id === lo.id);
-                            if (!obj) return false;
-                            const linked = obj.getCellValue(objectivesToSourcesLinkField?.id);
-                            return linked && linked.some(l => l.id === topLevelId);
-                        });
-                    }).map(a => a.id);
-                }
-                return [];
-            }
-            case 'goal': {
-                // Activities linked to objectives linked to selected goals
-                if (bottomLevel === 'goal') {
-                    return [];  // Can't show activities if stopping at goal level
-                } else if (bottomLevel === 'objective') {
-                    const objIds = objectives.filter(obj => {
-                        const linked = obj.getCellValue(objectivesLinkField?.id);
-                        return linked && linked.some(l => l.id === topLevelId);
-                    }).map(o => o.id);
-
-                    return activities.filter(activity => {
-                        const linked = activity.getCellValue(activitiesLinkField?.id);
-                        return linked && linked.some(l => objIds.includes(l.id));
-                    }).map(a => a.id);
-                } else if (bottomLevel === 'activity') {
-                    return activities.filter(activity => {
-                        const linkedObjs = activity.getCellValue(activitiesLinkField?.id);
-                        if (!linkedObjs) return false;
-                        return linkedObjs.some(lo => {
-                            const obj = objectives.find(o => o.id === lo.id);
-                            if (!obj) return false;
-                            const linked = obj.getCellValue(objectivesLinkField?.id);
-                            return linked && linked.some(l => l.id === topLevelId);
-                        });
-                    }).map(a => a.id);
-                }
-                return [];
-            }
-            case 'objective': {
-                // Activities linked to selected objectives
-                if (bottomLevel === 'objective') {
-                    return [];  // Can't show activities if stopping at objective level
-                } else if (bottomLevel === 'activity') {
-                    return activities.filter(activity => {
-                        const linked = activity.getCellValue(activitiesLinkField?.id);
-                        return linked && linked.some(l => l.id === topLevelId);
-                    }).map(a => a.id);
-                }
-                return [];
-            }
-            case 'activity': {
-                // Direct activity selection
-                return [topLevelId];
-            }
-            default:
-                return [];
-        }
-    }, [topLevel, topLevelId, bottomLevel, goals, objectives, activities, goalsLinkField, objectivesLinkField, objectivesToSourcesLinkField, activitiesLinkField]);
-    
-    // Filter T/TA sessions
-    const filteredSessions = useMemo(() => {
-        if (!ttaSessions) return [];
-
-        return ttaSessions.filter(session => {
-            // Filter by activities if any are selected
-            if (relevantActivityIds.length > 0 && ttaSessionsLinkField) {
-                const linkedActivities = session.getCellValue(ttaSessionsLinkField.id);
-                if (!linkedActivities) return false;
-                const hasSelectedActivity = linkedActivities.some(link =>
-                    relevantActivityIds.includes(link.id)
-                );
-                if (!hasSelectedActivity) return false;
-            }
+    // Detect which report modes the selected records fall under, so the user sees them up front
+    const { boardPlanRule } = settings;
+    const isBoardPlanSource = useMemo(
+        () => createBoardPlanMatcher(boardPlanRule),
+        [boardPlanRule.type, boardPlanRule.nameText, boardPlanRule.field, boardPlanRule.selectValue, boardPlanRule.recordIds]
+    );
 
-            // Filter by date range
-            if ((startDate || endDate) && ttaSessionsDateField) {
-                const sessionDate = session.getCellValue(ttaSessionsDateField.id);
-                if (!sessionDate) return false;
+    const selectionModes = useMemo(() => {
+        if (!recordIndex) return [];
 
-                const date = new Date(sessionDate);
-                if (startDate && date < new Date(startDate)) return false;
-                if (endDate && date > new Date(endDate)) return false;
-            }
+        return selections.map(selection => {
+            const recordsById = recordIndex.byLevel[selection.level];
+            const record = recordsById ? recordsById.get(selection.recordId) : null;
+            const modes = getRecordModes(selection.level, selection.recordId, recordIndex, isBoardPlanSource);
 
-            return true;
+            return {
+                ...selection,
+                recordName: record ? record.name : 'Unknown',
+                modes,
+                boardPlanSources: modes.boardPlanSourceIds.map(id => recordIndex.workplanSources.get(id)),
+            };
         });
-    }, [ttaSessions, relevantActivityIds, startDate, endDate, ttaSessionsLinkField, ttaSessionsDateField]);
-    
+    }, [selections, recordIndex, isBoardPlanSource]);
+
+    // Build the report tree for the current selection. The summary card counts come from
+    // the same tree that is sent when the user clicks Generate.
+    const reportPreview = useMemo(() => {
+        if (!hasReportSubject || !recordIndex) return null;
+
+        return buildReport({
+            levels: { selections, bottom: bottomLevel || levelOrder[levelOrder.length - 1] },
+            range: { startDate, endDate, policy: datePolicy, timeZone: settings.timeZone },
+            hierarchy: hierarchyIds,
+            fields: fieldIds,
+            mode: { isBoardPlanSource },
+            tables: levelTableIds,
+            extraFields: settings.extraFields,
+            completeStatuses: settings.completeStatuses,
+            dimension: isDimensionReport ? dimension : null,
+            records: { levels: levelRecords, ttaSessions },
+            recordIndex,
+        });
+    }, [hasReportSubject, isDimensionReport, dimension, selections, bottomLevel, startDate, endDate, datePolicy, settings.timeZone, settings.extraFields, settings.completeStatuses, hierarchyIds, fieldIds, isBoardPlanSource, levelTableIds, levelRecords, ttaSessions, recordIndex]);
+
+    // Fit the report JSON into the payload budget up front, so the user sees any trimming before generating.
+    // Fitting is async (compression streams), so it is keyed on the tree's text: an edit to a record
+    // rebuilds the tree, but its text only changes when the edit shows up in the report.
+    const reportTreeJson = useMemo(
+        () => (reportPreview && reportPreview.tree ? JSON.stringify(reportPreview.tree) : ''),
+        [reportPreview]
+    );
+    const [payloadPlan, setPayloadPlan] = useState(null);
+    useEffect(() => {
+        setPayloadPlan(null);
+        if (!reportTreeJson) return;
+
+        let isCurrent = true;
+        fitPayloadToBudget(JSON.parse(reportTreeJson), settings.payloadBudget, {
+            compress: settings.compressPayloads,
+            hierarchy: hierarchyIds,
+        })
+            .then(plan => {
+                if (isCurrent) setPayloadPlan(plan);
+            })
+            .catch(error => console.error('Error fitting the report into the payload budget:', error));
+        return () => {
+            isCurrent = false;
+        };
+    }, [reportTreeJson, settings.payloadBudget, settings.compressPayloads, hierarchyIds]);
+
     // Handle top-level selection change
     const handleTopLevelChange = (value) => {
         setTopLevel(value);
-        setTopLevelId('');
-        setBottomLevel('');
+        setTopLevelSearchTerm('');
+    };
+
+    // Add a record to the selection, or remove it if it is already selected
+    const toggleSelection = (level, recordId) => {
+        const isSelected = selections.some(sel => sel.level === level && sel.recordId === recordId);
+        setSelections(isSelected
+            ? selections.filter(sel => !(sel.level === level && sel.recordId === recordId))
+            : [...selections, { level, recordId }]);
+    };
+
+    // Pick a new dimension field, clearing the value picked for the previous one
+    const handleDimensionFieldChange = (fieldId) => {
+        setDimensionFieldId(fieldId);
+        setDimensionValueId('');
     };
 
     // Handle bottom-level selection change
@@ -264,51 +318,39 @@ function ReportSelectorApp() {
         setBottomLevel(value);
     };
 
-    // Check if selected workplan source has any goals
-    const selectedWorkplanSourceHasGoals = useMemo(() => {
-        if (topLevel !== 'workplanSource' || !topLevelId) return true; // default to true to show goals
-
-        return goals.some(goal => {
-            const linked = goal.getCellValue(goalsLinkField?.id);
-            return linked && linked.some(l => l.id === topLevelId);
-        });
-    }, [topLevel, topLevelId, goals, goalsLinkField]);
-
-    // Get available bottom-level options based on top-level selection
+    // Levels between the selection and the activities that some selected record has nothing at,
+    // e.g. a workplan source whose objectives all link straight to it has no goals
+    const unreachableLevels = useMemo(() => {
+        if (!recordIndex || selections.length === 0) return [];
+
+        const deepestIndex = Math.max(...selections.map(sel => levelOrder.indexOf(sel.level)));
+        return levelOrder
+            .slice(deepestIndex + 1, -1)
+            .filter(levelKey => selections.some(sel => !hasRecordsAtLevel(
+                recordIndex,
+                levelOrder.indexOf(sel.level),
+                sel.recordId,
+                levelOrder.indexOf(levelKey)
+            )));
+    }, [selections, recordIndex, levelTablesKey]);
+
+    // Get available bottom-level options: every level at or below the deepest selected record
     const getBottomLevelOptions = () => {
-        switch (topLevel) {
-            case 'workplanSource':
-                // If this workplan source has goals, show all options. Otherwise, only objectives and activities
-                if (selectedWorkplanSourceHasGoals) {
-                    return [
-                        { value: 'goal', label: 'Goal' },
-                        { value: 'objective', label: 'Objective' },
-                        { value: 'activity', label: 'Activity' },
-                    ];
-                } else {
-                    return [
-                        { value: 'objective', label: 'Objective' },
-                        { value: 'activity', label: 'Activity' },
-                    ];
-                }
-            case 'goal':
-                return [
-                    { value: 'goal', label: 'Goal only' },
-                    { value: 'objective', label: 'Objective' },
-                    { value: 'activity', label: 'Activity' },
-                ];
-            case 'objective':
-                return [
-                    { value: 'objective', label: 'Objective only' },
-                    { value: 'activity', label: 'Activity' },
-                ];
-            case 'activity':
-                return [
-                    { value: 'activity', label: 'Activity only' },
-                ];
-            default:
-                return [];
+        if (!hasReportSubject) return [];
+
+        // Dimension reports group sessions up to the top level, so any level below it can be the bottom
+        if (isDimensionReport) {
+            return levelOptions.slice(Math.min(1, levelOptions.length - 1));
         }
+
+        const deepestIndex = Math.max(...selections.map(sel => levelOrder.indexOf(sel.level)));
+
+        return levelOptions.slice(Math.max(deepestIndex, Math.min(1, levelOptions.length - 1)))
+            .filter(option => !unreachableLevels.includes(option.value))
+            .map(option => ({
+                value: option.value,
+                label: option.value === levelOrder[deepestIndex] ? `${option.label} only` : option.label,
+            }));
     };
 
     // Reset bottom level if it's no longer a valid option
@@ -317,21 +359,15 @@ function ReportSelectorApp() {
         if (bottomLevel && !validOptions.includes(bottomLevel)) {
             setBottomLevel('');
         }
-    }, [bottomLevel, topLevel, selectedWorkplanSourceHasGoals]);
+    }, [bottomLevel, selections, unreachableLevels, isDimensionReport, hasReportSubject]);
 
     // Get filtered options for top-level selector based on search term
     const filteredTopLevelOptions = useMemo(() => {
-        if (!topLevel) return [];
-
-        const records = topLevel === 'workplanSource' ? workplanSources :
-                       topLevel === 'goal' ? goals :
-                       topLevel === 'objective' ? objectives :
-                       activities;
+        const level = hierarchy.find(hierarchyLevel => hierarchyLevel.key === topLevel);
+        if (!level || !level.table || !levelRecords) return [];
 
-        const primaryFieldId = topLevel === 'workplanSource' ? workplanSourcesTable.primaryField.id :
-                              topLevel === 'goal' ? goalsTable.primaryField.id :
-                              topLevel === 'objective' ? objectivesTable.primaryField.id :
-                              activitiesTable.primaryField.id;
+        const records = levelRecords[topLevel];
+        const primaryFieldId = level.table.primaryField.id;
 
         if (!topLevelSearchTerm) {
             // No search term, return all records
@@ -351,18 +387,41 @@ function ReportSelectorApp() {
             })
             .filter(item => item.score > 0)
             .sort((a, b) => b.score - a.score);
-    }, [topLevel, topLevelSearchTerm, workplanSources, goals, objectives, activities, workplanSourcesTable, goalsTable, objectivesTable, activitiesTable]);
+    }, [topLevel, topLevelSearchTerm, hierarchy, levelRecords]);
     
-    // Report Requests table ID and field IDs
-    const REPORT_REQUESTS_TABLE_ID = 'tblnw1RnPcRcrqtbh';
+    // Report Requests field IDs
     const REPORT_REQUESTS_FIELDS = {
-        JSON_1: 'fldGuDUYsPon4lraf',
-        JSON_2: 'fldxtylLwPTPhJ53C',
-        JSON_3: 'fldBLnsxlwsytrPeG',
-        JSON_4: 'flddwKxR1d3rHTzI0',
-        START_DATE: 'Start Date',
-        END_DATE: 'End Date',
-        STATUS: 'Status',
+        MANIFEST: settings.fields.reportManifest?.id,
+        START_DATE: settings.fields.reportStartDate?.id,
+        END_DATE: settings.fields.reportEndDate?.id,
+        PAYLOAD_FORMAT: settings.fields.reportPayloadFormat?.id,
+        STATUS: settings.fields.reportStatus?.id,
+        GENERATED_REPORT: settings.fields.reportGeneratedReport?.id,
+        ERROR_MESSAGE: settings.fields.reportErrorMessage?.id,
+        PARAMETERS: settings.fields.reportParameters?.id,
+        MODE: settings.fields.reportMode?.id,
+        TOP_LEVEL: settings.fields.reportTopLevel?.id,
+        TOP_RECORDS: settings.fields.reportTopRecords?.id,
+        BOTTOM_LEVEL: settings.fields.reportBottomLevel?.id,
+        REQUESTER: settings.fields.reportRequester?.id,
+    };
+
+    // The fields ReportStatusTracker and PendingRequestList read
+    const REPORT_OUTCOME_FIELDS = {
+        status: REPORT_REQUESTS_FIELDS.STATUS,
+        generatedReport: REPORT_REQUESTS_FIELDS.GENERATED_REPORT,
+        errorMessage: REPORT_REQUESTS_FIELDS.ERROR_MESSAGE,
+        progressStage: settings.fields.reportProgressStage?.id,
+        progressCompleted: settings.fields.reportProgressCompleted?.id,
+        progressTotal: settings.fields.reportProgressTotal?.id,
+        progressUpdatedAt: settings.fields.reportProgressUpdatedAt?.id,
+    };
+
+    // Report Chunks field IDs, as chunkTransport.js takes them
+    const REPORT_CHUNKS_FIELDS = {
+        requestLink: settings.fields.chunkRequestLink?.id,
+        index: settings.fields.chunkIndex?.id,
+        data: settings.fields.chunkData?.id,
     };
 
     // Handler to generate report
@@ -370,91 +429,69 @@ function ReportSelectorApp() {
         try {
             setIsGenerating(true);
 
-            // Build hierarchical record list
-            const hierarchicalRecords = buildHierarchicalRecordList(
-                topLevel,
-                topLevelId,
-                bottomLevel,
-                workplanSourcesTable,
-                goalsTable,
-                objectivesTable,
-                activitiesTable,
-                workplanSources,
-                goals,
-                objectives,
-                activities,
-                goalsLinkField,
-                objectivesLinkField,
-                objectivesToSourcesLinkField,
-                activitiesLinkField,
-                startDate,
-                endDate,
-                activitiesStartDateField,
-                activitiesEndDateField,
-                ttaSessions,
-                ttaSessionsLinkField,
-                'fldJYcVHEF4jadCdh', // T/TA Summary for AI field
-                ttaSessionsDateField,
-                'fldkAnMJgK3XdrGF4', // Activity Comments field (for Board Plan)
-                'fld6Cro64lmv8jrd3'  // Activity Status field (for Board Plan)
-            );
-
-            // Create JSON string (pretty-printed for readability)
-            const jsonOutput = JSON.stringify(hierarchicalRecords, null, 2);
-            const characterCount = jsonOutput.length;
-
-            console.log('Hierarchical Records JSON length:', characterCount);
+            // Use the same tree the summary card counts come from, reduced to fit the payload budget
+            const jsonOutput = payloadPlan.json;
+            const characterCount = payloadPlan.length;
+
+            console.log(`Hierarchical Records JSON length: ${payloadPlan.rawLength}, sent as ${characterCount} (${payloadPlan.formatId}, ${payloadPlan.contentEncoding})`);
             console.log('OUTPUT:', jsonOutput);
             setDebugJsonOutput(jsonOutput);
             setJsonCharacterCount(characterCount);
+            setPayloadReductions(payloadPlan.reductions);
 
-            // Get the Report Requests table
-            const reportRequestsTable = base.getTableById(REPORT_REQUESTS_TABLE_ID);
-
-            if (!reportRequestsTable) {
-                alert('Report Requests table not found. Please check the table ID.');
-                setIsGenerating(false);
-                return;
-            }
-
-            console.log('Splitting JSON across multiple Long Text fields...');
-
-            // Split JSON across multiple fields (100,000 chars each)
-            const FIELD_LIMIT = 100000;
-            const MAX_FIELDS = 4;
-            const MAX_TOTAL = FIELD_LIMIT * MAX_FIELDS; // 400,000 characters
-
-            if (characterCount > MAX_TOTAL) {
-                console.error(`JSON too large: ${characterCount} characters (limit: ${MAX_TOTAL})`);
-                alert(`The report data is too large (${Math.round(characterCount/1000)}KB, limit is ${MAX_TOTAL/1000}KB).\n\n` +
-                      `Please:\n` +
-                      `1. Select a smaller date range\n` +
-                      `2. Select a lower-level item\n` +
-                      `3. Reduce the bottom level detail`);
+            if (!reportRequestsTable || !reportChunksTable) {
+                alert('Report Requests or Report Chunks table not found. Please check the extension settings.');
                 setIsGenerating(false);
                 return;
             }
 
+            let requestId = null;
             try {
-                // Split JSON into chunks
-                const chunks = [];
-                for (let i = 0; i < jsonOutput.length; i += FIELD_LIMIT) {
-                    chunks.push(jsonOutput.substring(i, i + FIELD_LIMIT));
-                }
+                // Split the encoded JSON into chunk records, described by a manifest on the request
+                const chunks = splitIntoChunks(payloadPlan.content);
+                const manifest = await createManifest(payloadPlan.content, chunks, payloadPlan.formatId, payloadPlan.contentEncoding);
 
                 console.log(`Created ${chunks.length} chunk(s)`);
                 chunks.forEach((chunk, i) => {
                     console.log(`  Chunk ${i + 1}: ${chunk.length} characters`);
                 });
 
-                // Create fields object with JSON chunks
-                const fields = {};
-                
-                // Add JSON chunks to appropriate fields
-                if (chunks.length > 0) fields[REPORT_REQUESTS_FIELDS.JSON_1] = chunks[0];
-                if (chunks.length > 1) fields[REPORT_REQUESTS_FIELDS.JSON_2] = chunks[1];
-                if (chunks.length > 2) fields[REPORT_REQUESTS_FIELDS.JSON_3] = chunks[2];
-                if (chunks.length > 3) fields[REPORT_REQUESTS_FIELDS.JSON_4] = chunks[3];
+                // Store what the report was made with, for the history and re-runs
+                const reportParameters = createReportParameters({
+                    topLevel,
+                    selections: selectionModes,
+                    dimension: isDimensionReport ? dimension : null,
+                    bottomLevel,
+                    startDate,
+                    endDate,
+                    datePolicy,
+                });
+                const topLevelLabels = isDimensionReport
+                    ? [dimension.fieldName]
+                    : [...new Set(selections.map(selection => getLevelLabel(selection.level)))];
+
+                const fields = {
+                    [REPORT_REQUESTS_FIELDS.MANIFEST]: JSON.stringify(manifest),
+                    // Tell the backend automation how to parse the reassembled JSON
+                    [REPORT_REQUESTS_FIELDS.PAYLOAD_FORMAT]: { name: payloadPlan.formatId },
+                    // Generation starts at 'Pending', once the chunks are written and verified
+                    [REPORT_REQUESTS_FIELDS.STATUS]: { name: 'Uploading' },
+                };
+
+                // The request details are optional mappings; fill in the ones that are mapped
+                const requestDetails = [
+                    [REPORT_REQUESTS_FIELDS.PARAMETERS, JSON.stringify(reportParameters, null, 2)],
+                    [REPORT_REQUESTS_FIELDS.MODE, { name: reportParameters.mode }],
+                    [REPORT_REQUESTS_FIELDS.TOP_LEVEL, topLevelLabels.join(', ')],
+                    [REPORT_REQUESTS_FIELDS.TOP_RECORDS, selections
+                        .filter(selection => selection.level === levelOrder[0])
+                        .map(selection => ({ id: selection.recordId }))],
+                    [REPORT_REQUESTS_FIELDS.BOTTOM_LEVEL, getLevelLabel(bottomLevel || levelOrder[levelOrder.length - 1])],
+                    [REPORT_REQUESTS_FIELDS.REQUESTER, session.currentUser ? { id: session.currentUser.id } : null],
+                ];
+                requestDetails.forEach(([fieldId, value]) => {
+                    if (fieldId && value) fields[fieldId] = value;
+                });
 
                 // Add dates if provided
                 if (startDate) {
@@ -464,23 +501,34 @@ function ReportSelectorApp() {
                     fields[REPORT_REQUESTS_FIELDS.END_DATE] = endDate;
                 }
 
-                // Status field will be set by default value (don't set it to avoid conflicts)
+                console.log('Creating report request...');
+                requestId = await reportRequestsTable.createRecordAsync(fields);
+                console.log('✅ Record created successfully:', requestId);
+                setReportRequestId(requestId);
+                addPendingRequest(requestId);
 
-                console.log('Creating Airtable record with JSON split across fields...');
-                const newRecord = await reportRequestsTable.createRecordsAsync([
-                    { fields: fields }
-                ]);
+                await writeChunks(reportChunksTable, REPORT_CHUNKS_FIELDS, requestId, chunks);
 
-                console.log('✅ Record created successfully:', newRecord);
-                
-                if (newRecord && newRecord.length > 0) {
-                    setReportRequestId(newRecord[0]);
-                    pollForCompletion(newRecord[0]);
-                }
-                
+                // Read the chunks back and check them against the manifest before generation starts
+                const writtenChunks = await readChunks(reportRequestsTable, reportChunksTable, REPORT_CHUNKS_FIELDS, requestId);
+                await reassembleChunks(writtenChunks, manifest);
+                console.log('✅ Chunks verified against the manifest');
+
+                await reportRequestsTable.updateRecordAsync(requestId, {
+                    [REPORT_REQUESTS_FIELDS.STATUS]: { name: 'Pending' },
+                });
+                setTrackedRequestId(requestId);
             } catch (error) {
                 console.error('❌ Error:', error);
                 console.error('Error message:', error.message);
+                // Keep a half-written request from being picked up
+                if (requestId) {
+                    await reportRequestsTable.updateRecordAsync(requestId, {
+                        [REPORT_REQUESTS_FIELDS.STATUS]: { name: 'Error' },
+                        [REPORT_REQUESTS_FIELDS.ERROR_MESSAGE]: `Upload failed: ${error.message}`,
+                    }).catch(updateError => console.error('Error marking the request as failed:', updateError));
+                    removePendingRequest(requestId);
+                }
                 alert('Error creating report: ' + error.message);
                 setIsGenerating(false);
             }
@@ -491,66 +539,199 @@ function ReportSelectorApp() {
         }
     };
 
-    // Poll for report completion
-    const pollForCompletion = (recordId) => {
-        const reportRequestsTable = base.getTableById(REPORT_REQUESTS_TABLE_ID);
-        const pollInterval = setInterval(async () => {
-            try {
-                const record = await reportRequestsTable.selectRecordsAsync();
-                const reportRecord = record.records.find(r => r.id === recordId);
-
-                if (reportRecord) {
-                    const status = reportRecord.getCellValueAsString('Status');
-                    const report = reportRecord.getCellValueAsString('Generated Report');
-
-                    if (status === 'Ready' && report) {
-                        setGeneratedReport(report);
-                        setIsGenerating(false);
-                        clearInterval(pollInterval);
-                    } else if (status === 'Error') {
-                        const error = reportRecord.getCellValueAsString('Error Message');
-                        alert('Report generation failed: ' + error);
-                        setIsGenerating(false);
-                        clearInterval(pollInterval);
-                    }
-                }
-            } catch (error) {
-                console.error('Error polling for completion:', error);
-                setIsGenerating(false);
-                clearInterval(pollInterval);
+    // Stop tracking the current request, whatever its outcome
+    const stopTracking = () => {
+        setTrackedRequestId('');
+        setIsGenerating(false);
+    };
+
+    const handleReportReady = (report) => {
+        setGeneratedReport(report);
+        removePendingRequest(trackedRequestId);
+        stopTracking();
+    };
+
+    const handleReportError = (message) => {
+        alert('Report generation failed: ' + message);
+        removePendingRequest(trackedRequestId);
+        stopTracking();
+    };
+
+    // The request stays pending and keeps running in the background; PendingRequestList watches it from here
+    const handleCheckLater = () => {
+        stopTracking();
+    };
+
+    // Marks a request Cancelled; whatever the backend writes to it later is ignored
+    const cancelReportRequest = async (requestId) => {
+        try {
+            await reportRequestsTable.updateRecordAsync(requestId, {
+                [REPORT_REQUESTS_FIELDS.STATUS]: { name: 'Cancelled' },
+            });
+        } catch (error) {
+            console.error('Error cancelling report request:', error);
+            alert('Error cancelling report: ' + error.message);
+        }
+    };
+
+    // Back to the selection form, with every input as it was
+    const handleCancelReport = () => {
+        const requestId = trackedRequestId;
+        removePendingRequest(requestId);
+        stopTracking();
+        cancelReportRequest(requestId);
+    };
+
+    // Every pending request except the one this session is uploading or tracking
+    const backgroundRequestIds = pendingRequestIds.filter(id => !(isGenerating && id === reportRequestId));
+
+    const handlePendingRequestChange = (requestId, requestState) => {
+        setPendingRequestStates(current => ({ ...current, [requestId]: requestState }));
+    };
+
+    // Stop watching a background request and forget what it held
+    const forgetPendingRequest = (requestId) => {
+        removePendingRequest(requestId);
+        setPendingRequestStates(current => {
+            const next = { ...current };
+            delete next[requestId];
+            return next;
+        });
+    };
+
+    // Interrupted uploads being marked as failed, so each is handled once while its update is saved
+    const markingInterruptedIdsRef = useRef(new Set());
+
+    // Act on background requests that have finished, one report at a time.
+    // Also covers requests that finished while the extension was closed.
+    useEffect(() => {
+        if (isGenerating) return;
+
+        let isShowingReport = Boolean(generatedReport);
+        for (const requestId of backgroundRequestIds) {
+            const requestState = pendingRequestStates[requestId];
+            if (!requestState || markingInterruptedIdsRef.current.has(requestId)) continue;
+
+            if (requestState.isDeleted || requestState.status === 'Cancelled') {
+                forgetPendingRequest(requestId);
+            } else if (requestState.status === 'Error') {
+                alert('Report generation failed: ' + requestState.errorMessage);
+                forgetPendingRequest(requestId);
+            } else if (requestState.isUploadInterrupted) {
+                // Still uploading long after it was created, so it was cut off (e.g. by a reload) and will never start.
+                // Mark it failed like an upload error, so the history does not show it in progress forever.
+                markingInterruptedIdsRef.current.add(requestId);
+                reportRequestsTable.updateRecordAsync(requestId, {
+                    [REPORT_REQUESTS_FIELDS.STATUS]: { name: 'Error' },
+                    [REPORT_REQUESTS_FIELDS.ERROR_MESSAGE]: 'Upload interrupted before the report data finished uploading',
+                })
+                    .catch(error => console.error('Error marking the interrupted request as failed:', error))
+                    .finally(() => {
+                        alert('A report request was interrupted before its data finished uploading. Please generate it again.');
+                        forgetPendingRequest(requestId);
+                        markingInterruptedIdsRef.current.delete(requestId);
+                    });
+            } else if (requestState.status === 'Ready' && requestState.report && !isShowingReport) {
+                setGeneratedReport(requestState.report);
+                setReportRequestId(requestId);
+                setPayloadReductions([]); // the reductions of this session's payload do not apply
+                forgetPendingRequest(requestId);
+                isShowingReport = true;
             }
-        }, 2000); // Poll every 2 seconds
+        }
+    }, [isGenerating, generatedReport, pendingRequestStates, backgroundRequestIds.join(',')]);
+
+    // Show a finished report from the history
+    const handleOpenHistoryReport = (requestId, report) => {
+        setGeneratedReport(report);
+        setReportRequestId(requestId);
+        setPayloadReductions([]); // only known for reports generated in this session
+        setDebugJsonOutput('');
+        setIsShowingHistory(false);
+    };
+
+    // Load a past request's parameters into the form, to generate again as is or after adjusting them.
+    // Records and levels that no longer exist are left out.
+    const handleRerun = (parameters) => {
+        const recordsStillExist = parameters.selections.filter(selection =>
+            recordIndex && recordIndex.byLevel[selection.level] && recordIndex.byLevel[selection.level].has(selection.recordId)
+        );
+        const missingCount = parameters.selections.length - recordsStillExist.length;
+        if (missingCount > 0) {
+            alert(`Left out ${missingCount} ${missingCount === 1 ? 'record' : pluralize('record')} from this request that no longer exist${missingCount === 1 ? 's' : ''}.`);
+        }
 
-        // Stop polling after 5 minutes
-        setTimeout(() => clearInterval(pollInterval), 300000);
+        setTopLevel(parameters.topLevel === DIMENSION_MODE || levelOrder.includes(parameters.topLevel) ? parameters.topLevel : '');
+        setSelections(recordsStillExist.map(({ level, recordId }) => ({ level, recordId })));
+        setDimensionFieldId(parameters.dimension ? parameters.dimension.fieldId : '');
+        setDimensionValueId(parameters.dimension ? parameters.dimension.valueId : '');
+        setBottomLevel(levelOrder.includes(parameters.bottomLevel) ? parameters.bottomLevel : '');
+        setStartDate(parameters.startDate || '');
+        setEndDate(parameters.endDate || '');
+        setDatePolicy({ ...DEFAULT_DATE_POLICY, ...parameters.datePolicy });
+        setGeneratedReport('');
+        setReportRequestId('');
+        setDebugJsonOutput('');
+        setIsShowingHistory(false);
     };
 
-    // Check if tables exist
-    if (!workplanSourcesTable || !goalsTable || !objectivesTable || !activitiesTable || !ttaSessionsTable) {
+    // Show settings until every table and field is mapped
+    if (isShowingSettings || !settings.isConfigured) {
         return (
-            <Box padding={3} backgroundColor="lightGray1">
-                <Heading size="large">Configuration Needed</Heading>
-                <Text marginTop={2}>
-                    Please ensure your base has these tables with these exact names:
-                </Text>
-                <Box marginTop={2}>
-                    <Text>• Workplan Sources</Text>
-                    <Text>• Goals</Text>
-                    <Text>• Objectives</Text>
-                    <Text>• Activities</Text>
-                    <Text>• T/TA Sessions</Text>
-                </Box>
-                <Text marginTop={2} textColor="light">
-                    (Or update the table names in the code)
-                </Text>
-            </Box>
+            <SettingsView
+                settings={settings}
+                schemaIssues={schemaIssues}
+                onDone={() => setIsShowingSettings(false)}
+            />
+        );
+    }
+
+    // Past report requests
+    if (isShowingHistory) {
+        return (
+            <ReportHistoryView
+                table={reportRequestsTable}
+                fieldIds={{
+                    ...REPORT_OUTCOME_FIELDS,
+                    parameters: REPORT_REQUESTS_FIELDS.PARAMETERS,
+                    requester: REPORT_REQUESTS_FIELDS.REQUESTER,
+                }}
+                getLevelLabel={getLevelLabel}
+                onOpenReport={handleOpenHistoryReport}
+                onRerun={handleRerun}
+                onDone={() => setIsShowingHistory(false)}
+            />
+        );
+    }
+
+    // Orphaned records and missing report data, for data stewards
+    if (isShowingDataHealth) {
+        return (
+            <DataHealthView
+                hierarchy={hierarchyIds}
+                fieldIds={fieldIds}
+                recordIndex={recordIndex}
+                onDone={() => setIsShowingDataHealth(false)}
+            />
         );
     }
     
     return (
         <Box padding={3} backgroundColor="lightGray1" minHeight="100vh" display="flex" justifyContent="center">
             <Box maxWidth="800px" width="100%">
-                <Heading size="xlarge" marginBottom={3}>Work Report Selector</Heading>
+                <Box display="flex" alignItems="center" justifyContent="space-between" marginBottom={3}>
+                    <Heading size="xlarge" marginBottom={0}>Work Report Selector</Heading>
+                    <Box display="flex">
+                        <Button variant="secondary" icon="history" marginRight={2} onClick={() => setIsShowingHistory(true)}>
+                            History
+                        </Button>
+                        <Button variant="secondary" icon="checklist" onClick={() => setIsShowingDataHealth(true)}>
+                            Data health
+                        </Button>
+                    </Box>
+                </Box>
+
+                <DiagnosticsPanel issues={schemaIssues} onOpenSettings={() => setIsShowingSettings(true)} />
 
                 {/* Report Level Selection */}
                 <Box
@@ -567,12 +748,7 @@ function ReportSelectorApp() {
                 <Box>
                     <Text size="small" marginBottom={2} textColor="light">Generate a report about:</Text>
                     <Box display="flex" flexDirection="column">
-                        {[
-                            { value: 'workplanSource', label: 'Workplan Source' },
-                            { value: 'goal', label: 'Goal' },
-                            { value: 'objective', label: 'Objective' },
-                            { value: 'activity', label: 'Activity' },
-                        ].map(option => (
+                        {levelOptions.map(option => (
                             <Box key={option.value} display="flex" alignItems="center" gap={2} marginY={2}>
                                 <input
                                     type="radio"
@@ -591,90 +767,118 @@ function ReportSelectorApp() {
                                 </label>
                             </Box>
                         ))}
+                        <Box display="flex" alignItems="center" gap={2} marginY={2}>
+                            <input
+                                type="radio"
+                                id={`topLevel-${DIMENSION_MODE}`}
+                                name="topLevel"
+                                value={DIMENSION_MODE}
+                                checked={isDimensionReport}
+                                onChange={() => handleTopLevelChange(DIMENSION_MODE)}
+                                style={{ cursor: 'pointer' }}
+                            />
+                            <label
+                                htmlFor={`topLevel-${DIMENSION_MODE}`}
+                                style={{ cursor: 'pointer', marginBottom: 0, marginLeft: 8 }}
+                            >
+                                A T/TA session field, e.g. recipient or staff member
+                            </label>
+                        </Box>
                     </Box>
                 </Box>
 
                 {/* Row 2: Top-level picker, start date, and end date */}
                 {topLevel && (
                     <Box display="flex" flexDirection="row" gap={3} marginBottom={3} alignItems="flex-end">
-                        {/* Left: Item picker dropdown */}
-                        <Box flex={1} ref={dropdownRef} maxWidth="256px" marginRight="32px" position="relative">
-                            {/* Dropdown trigger button */}
-                            <Box
-                                id="topLevelDropdown"
-                                padding={2}
-                                backgroundColor="white"
-                                border="default"
-                                borderRadius="default"
-                                onClick={() => setTopLevelDropdownOpen(!topLevelDropdownOpen)}
-                                style={{ cursor: 'pointer', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}
-                            >
-                                <Text>
-                                    {topLevelId
-                                        ? filteredTopLevelOptions.find(opt => opt.value === topLevelId)?.label || 'Unknown'
-                                        : `Select ${getReadableLabel(topLevel)}...`}
-                                </Text>
-                                <Icon name="caret" size={16} />
-                            </Box>
-
-                            {/* Dropdown menu */}
-                            {topLevelDropdownOpen && (
+                        {/* Left: Dimension field and value, or item picker dropdown */}
+                        {isDimensionReport ? (
+                            <DimensionPicker
+                                ttaSessionsTable={ttaSessionsTable}
+                                field={dimensionField}
+                                values={dimensionValues}
+                                valueId={dimensionValueId}
+                                onFieldChange={handleDimensionFieldChange}
+                                onValueChange={setDimensionValueId}
+                            />
+                        ) : (
+                            <Box flex={1} ref={dropdownRef} maxWidth="256px" marginRight="32px" position="relative">
+                                {/* Dropdown trigger button */}
                                 <Box
-                                    marginTop={1}
+                                    id="topLevelDropdown"
+                                    padding={2}
                                     backgroundColor="white"
                                     border="default"
                                     borderRadius="default"
-                                    maxHeight="300px"
-                                    overflow="auto"
-                                    position="absolute"
-                                    zIndex={10}
-                                    style={{ top: '100%', left: 0, right: 0, width: '100%', marginTop: '8px' }}
+                                    onClick={() => setTopLevelDropdownOpen(!topLevelDropdownOpen)}
+                                    style={{ cursor: 'pointer', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}
                                 >
-                                    {/* Search input */}
-                                    <Box padding={2} borderBottom="default">
-                                        <Input
-                                            id="topLevelSearch"
-                                            type="text"
-                                            placeholder={`Search ${topLevel}...`}
-                                            value={topLevelSearchTerm}
-                                            onChange={(e) => setTopLevelSearchTerm(e.target.value)}
-                                            width="100%"
-                                        />
-                                    </Box>
+                                    <Text>
+                                        {`Add ${getLevelLabel(topLevel).toLowerCase()}...`}
+                                    </Text>
+                                    <Icon name="caret" size={16} />
+                                </Box>
 
-                                    {/* Options list */}
-                                    {filteredTopLevelOptions.length > 0 ? (
-                                        filteredTopLevelOptions.map((option) => (
-                                            <Box
-                                                key={option.value}
-                                                padding={2}
-                                                borderBottom="default"
-                                                backgroundColor={topLevelId === option.value ? 'lightBlue1' : 'white'}
-                                                onClick={() => {
-                                                    setTopLevelId(option.value);
-                                                    setTopLevelSearchTerm('');
-                                                    setTopLevelDropdownOpen(false);
-                                                    setBottomLevel('');
-                                                }}
-                                                style={{ cursor: 'pointer' }}
-                                                onMouseEnter={(e) => {
-                                                    e.currentTarget.style.backgroundColor = topLevelId === option.value ? 'lightBlue1' : 'lightGray1';
-                                                }}
-                                                onMouseLeave={(e) => {
-                                                    e.currentTarget.style.backgroundColor = topLevelId === option.value ? 'lightBlue1' : 'white';
-                                                }}
-                                            >
-                                                <Text>{option.label}</Text>
-                                            </Box>
-                                        ))
-                                    ) : (
-                                        <Box padding={2} textColor="light">
-                                            No matches found
+                                {/* Dropdown menu */}
+                                {topLevelDropdownOpen && (
+                                    <Box
+                                        marginTop={1}
+                                        backgroundColor="white"
+                                        border="default"
+                                        borderRadius="default"
+                                        maxHeight="300px"
+                                        overflow="auto"
+                                        position="absolute"
+                                        zIndex={10}
+                                        style={{ top: '100%', left: 0, right: 0, width: '100%', marginTop: '8px' }}
+                                    >
+                                        {/* Search input */}
+                                        <Box padding={2} borderBottom="default">
+                                            <Input
+                                                id="topLevelSearch"
+                                                type="text"
+                                                placeholder={`Search ${getLevelLabel(topLevel).toLowerCase()}...`}
+                                                value={topLevelSearchTerm}
+                                                onChange={(e) => setTopLevelSearchTerm(e.target.value)}
+                                                width="100%"
+                                            />
                                         </Box>
-                                    )}
-                                </Box>
-                            )}
-                        </Box>
+
+                                        {/* Options list */}
+                                        {filteredTopLevelOptions.length > 0 ? (
+                                            filteredTopLevelOptions.map((option) => {
+                                                const isSelected = selections.some(sel => sel.level === topLevel && sel.recordId === option.value);
+                                                return (
+                                                    <Box
+                                                        key={option.value}
+                                                        padding={2}
+                                                        borderBottom="default"
+                                                        backgroundColor={isSelected ? 'lightBlue1' : 'white'}
+                                                        onClick={() => {
+                                                            toggleSelection(topLevel, option.value);
+                                                            setTopLevelSearchTerm('');
+                                                            setTopLevelDropdownOpen(false);
+                                                        }}
+                                                        style={{ cursor: 'pointer' }}
+                                                        onMouseEnter={(e) => {
+                                                            e.currentTarget.style.backgroundColor = isSelected ? 'lightBlue1' : 'lightGray1';
+                                                        }}
+                                                        onMouseLeave={(e) => {
+                                                            e.currentTarget.style.backgroundColor = isSelected ? 'lightBlue1' : 'white';
+                                                        }}
+                                                    >
+                                                        <Text>{isSelected ? '✓ ' : ''}{option.label}</Text>
+                                                    </Box>
+                                                );
+                                            })
+                                        ) : (
+                                            <Box padding={2} textColor="light">
+                                                No matches found
+                                            </Box>
+                                        )}
+                                    </Box>
+                                )}
+                            </Box>
+                        )}
 
                         {/* Middle: Start Date */}
                         <Box display="flex" flexDirection="column" gap={1} minWidth="150px" marginRight="16px">
@@ -702,8 +906,70 @@ function ReportSelectorApp() {
                     </Box>
                 )}
 
+                {/* Selected records: the report covers all of them */}
+                {!isDimensionReport && selectionModes.length > 0 && (
+                    <Box marginBottom={3}>
+                        <Text size="small" marginBottom={2} textColor="light">Report covers:</Text>
+                        <Box display="flex" flexWrap="wrap">
+                            {selectionModes.map(selection => (
+                                <Box
+                                    key={`${selection.level}-${selection.recordId}`}
+                                    display="flex"
+                                    alignItems="center"
+                                    backgroundColor="lightBlue1"
+                                    borderRadius="default"
+                                    paddingX={2}
+                                    paddingY={1}
+                                    marginRight={2}
+                                    marginBottom={2}
+                                >
+                                    <Text>
+                                        {getLevelLabel(selection.level)}: {selection.recordName}
+                                    </Text>
+                                    <Button
+                                        size="small"
+                                        variant="secondary"
+                                        icon="x"
+                                        aria-label="Remove"
+                                        marginLeft={1}
+                                        onClick={() => toggleSelection(selection.level, selection.recordId)}
+                                    />
+                                </Box>
+                            ))}
+                        </Box>
+                    </Box>
+                )}
+
+                {/* Date policy: how activities with missing dates are treated when a range is set */}
+                {topLevel && (startDate || endDate) && (
+                    <Box marginBottom={3}>
+                        <Text size="small" marginBottom={2} textColor="light">Activities with missing dates:</Text>
+                        {[
+                            { key: 'openEnded', label: 'Treat a missing end date as ongoing' },
+                            { key: 'openStart', label: 'Treat a missing start date as always started' },
+                            { key: 'includeUndated', label: 'Include activities with no dates at all' },
+                        ].map(option => (
+                            <Box key={option.key} display="flex" alignItems="center" marginY={1}>
+                                <input
+                                    type="checkbox"
+                                    id={`datePolicy-${option.key}`}
+                                    checked={datePolicy[option.key]}
+                                    onChange={e => setDatePolicy({ ...datePolicy, [option.key]: e.target.checked })}
+                                    style={{ cursor: 'pointer' }}
+                                />
+                                <label
+                                    htmlFor={`datePolicy-${option.key}`}
+                                    style={{ cursor: 'pointer', marginBottom: 0, marginLeft: 8 }}
+                                >
+                                    {option.label}
+                                </label>
+                            </Box>
+                        ))}
+                    </Box>
+                )}
+
                 {/* Row 3: Bottom-level selector - only shows after top level is selected */}
-                {topLevel && topLevelId && (
+                {hasReportSubject && (
                     <Box>
                         <Text size="small" marginBottom={2} textColor="light">Show detail down to:</Text>
                         <Box display="flex" flexDirection="column" gap={2}>
@@ -740,19 +1006,87 @@ function ReportSelectorApp() {
                     border="thick"
                 >
                     <Heading size="small" marginBottom={1}>Summary</Heading>
-                    <Text size="large">
-                        <strong>{filteredSessions.length}</strong> T/TA Sessions match your selection
-                    </Text>
+                    {reportPreview ? (
+                        <Box>
+                            <Text size="large">
+                                <strong>{reportPreview.counts.sessions}</strong> T/TA Sessions match your selection
+                            </Text>
+                            <Text textColor="light">
+                                {[
+                                    ...hierarchy.slice(1).map(level => `${reportPreview.counts.byLevel[level.key]} ${pluralize(level.label.toLowerCase())}`),
+                                    `${reportPreview.counts.boardPlanActivities} Board Plan activities`,
+                                ].join(' · ')}
+                            </Text>
+                            <NodeStats tree={reportPreview.tree} />
+                        </Box>
+                    ) : (
+                        <Text size="large" textColor="light">
+                            Select what the report should cover to see what it includes.
+                        </Text>
+                    )}
+                    {!isDimensionReport && selectionModes.length > 0 && (
+                        <Box marginTop={1}>
+                            <Text>
+                                Report mode
+                                <Text as="span" size="small" textColor="light">
+                                    {' '}(Board Plan when {describeBoardPlanRule(boardPlanRule)})
+                                </Text>
+                            </Text>
+                            {selectionModes.map(selection => (
+                                <Text key={`${selection.level}-${selection.recordId}`}>
+                                    • {selection.recordName}:{' '}
+                                    {selection.modes.boardPlan && selection.modes.tta && (
+                                        <strong>Mixed — Board Plan branches under {selection.boardPlanSources.map(ws => ws.name).join(', ')}, T/TA summaries elsewhere</strong>
+                                    )}
+                                    {selection.modes.boardPlan && !selection.modes.tta && (
+                                        <strong>Board Plan (activity status and comments) — {selection.boardPlanSources.map(ws => ws.name).join(', ')}</strong>
+                                    )}
+                                    {!selection.modes.boardPlan && (
+                                        <strong>T/TA summaries</strong>
+                                    )}
+                                </Text>
+                            ))}
+                        </Box>
+                    )}
+                    {reportPreview && reportPreview.excludedActivities.length > 0 && (
+                        <Box marginTop={2}>
+                            <Text fontWeight="strong">
+                                {reportPreview.excludedActivities.length} activities dropped by the date filter:
+                            </Text>
+                            <Box maxHeight="150px" overflow="auto">
+                                {reportPreview.excludedActivities.map(activity => (
+                                    <Text key={activity.recordId} size="small">
+                                        • {activity.recordName} — {activity.reason}
+                                    </Text>
+                                ))}
+                            </Box>
+                        </Box>
+                    )}
                     {startDate && endDate && (
                         <Text marginTop={1} textColor="light">
-                            Date range: {new Date(startDate).toLocaleDateString()} - {new Date(endDate).toLocaleDateString()}
+                            Date range: {formatDay(startDate)} - {formatDay(endDate)} (inclusive)
                         </Text>
                     )}
+                    {payloadPlan && (
+                        <Box>
+                            <Text marginTop={1} size="small" textColor="light">
+                                Payload: {payloadPlan.rawLength.toLocaleString()} characters of {payloadPlan.budget.toLocaleString()}
+                                {payloadPlan.contentEncoding === 'deflate-base64' ? `, sent as ${payloadPlan.length.toLocaleString()} compressed` : ''}
+                                {payloadPlan.encoding === 'compact' ? ' (compact format)' : ''}
+                            </Text>
+                            <PayloadReductions reductions={payloadPlan.reductions} />
+                            {!payloadPlan.fits && (
+                                <Text marginTop={1} textColor="red">
+                                    Still too large after trimming. Select a smaller date range, fewer records or a higher bottom level.
+                                </Text>
+                            )}
+                        </Box>
+                    )}
                     <Button
                         variant="primary"
                         size="large"
                         marginTop={2}
-                        disabled={!topLevel || !topLevelId || !bottomLevel}
+                        disabled={!hasReportSubject || !bottomLevel || schemaIssues.length > 0 || !payloadPlan || !payloadPlan.fits}
                         onClick={handleGenerateReport}
                     >
                         Generate Report
@@ -760,8 +1094,8 @@ function ReportSelectorApp() {
                 </Box>
             )}
 
-            {/* Loading State */}
-            {isGenerating && (
+            {/* Loading State: sending the report data */}
+            {isGenerating && !trackedRequestId && (
                 <Box
                     backgroundColor="blueBright"
                     padding={3}
@@ -773,29 +1107,39 @@ function ReportSelectorApp() {
                     justifyContent="center"
                     minHeight="200px"
                 >
-                    <Heading size="small" marginBottom={2}>Generating Report...</Heading>
-                    <Text marginBottom={2} textColor="light">
-                        This may take a moment while the AI summarizes your data.
-                    </Text>
-                    <Box
-                        style={{
-                            width: '40px',
-                            height: '40px',
-                            border: '4px solid rgba(0, 0, 0, 0.1)',
-                            borderTop: '4px solid #0084ff',
-                            borderRadius: '50%',
-                            animation: 'spin 1s linear infinite'
-                        }}
-                    />
-                    <style>{`
-                        @keyframes spin {
-                            0% { transform: rotate(0deg); }
-                            100% { transform: rotate(360deg); }
-                        }
-                    `}</style>
+                    <Heading size="small" marginBottom={2}>Sending report data...</Heading>
+                    <Spinner />
                 </Box>
             )}
 
+            {/* Loading State: waiting for the backend to generate the report */}
+            {isGenerating && trackedRequestId && (
+                <ReportStatusTracker
+                    table={reportRequestsTable}
+                    recordId={trackedRequestId}
+                    fieldIds={REPORT_OUTCOME_FIELDS}
+                    onReady={handleReportReady}
+                    onError={handleReportError}
+                    onCheckLater={handleCheckLater}
+                    onCancel={handleCancelReport}
+                />
+            )}
+
+            {/* Requests left running in the background, including ones from before a reload */}
+            {!isGenerating && (
+                <PendingRequestList
+                    table={reportRequestsTable}
+                    requestIds={backgroundRequestIds}
+                    fieldIds={REPORT_OUTCOME_FIELDS}
+                    onChange={handlePendingRequestChange}
+                    onDismiss={forgetPendingRequest}
+                    onCancel={(requestId) => {
+                        forgetPendingRequest(requestId);
+                        cancelReportRequest(requestId);
+                    }}
+                />
+            )}
+
             {/* Debug JSON Output */}
             {debugJsonOutput && !isGenerating && !generatedReport && (
                 <Box
@@ -846,7 +1190,8 @@ function ReportSelectorApp() {
                     style={{ whiteSpace: 'pre-wrap', fontFamily: 'monospace' }}
                 >
                     <Heading size="small" marginBottom={2}>Generated Report</Heading>
-                    <Text>{generatedReport}</Text>
+                    <PayloadReductions reductions={payloadReductions} />
+                    <Text marginTop={2}>{generatedReport}</Text>
                     <Button
                         variant="secondary"
                         size="large"
@@ -0,0 +1,171 @@
+import { encodePayload, getPayloadFormatId } from './payloadFormat';
+import { encodeContent } from './payloadEncoding';
+
+// The report JSON is split across as many chunk records as it needs (see chunkTransport.js),
+// so the budget is about what the AI can take in; the capacity only guards against runaway payloads
+export const PAYLOAD_CAPACITY = 5000000;
+
+export const DEFAULT_PAYLOAD_BUDGET = 400000;
+
+// Text trimming and session sampling get stricter each round until the payload fits
+const TEXT_LIMITS = [2000, 1000, 500, 250];
+const SESSIONS_PER_RECORD = [20, 10, 5, 3, 1];
+
+/**
+ * Calls fn for every node in a full-format tree
+ */
+const forEachNode = (node, fn) => {
+    fn(node);
+    for (const child of node.children || []) {
+        forEachNode(child, fn);
+    }
+};
+
+/**
+ * Shortens a text to the limit, marking the cut
+ */
+const trimText = (text, limit) => (text.length > limit ? `${text.slice(0, limit)}… [trimmed]` : text);
+
+/**
+ * Trims session summaries and activity comments longer than the limit
+ * Returns how many texts were trimmed, counting a session shared by several records once
+ */
+const trimLongTexts = (tree, limit) => {
+    let trimmed = 0;
+    const trimmedSessionIds = new Set();
+
+    const trim = (text) => {
+        if (!text || text.length <= limit) return text;
+        trimmed++;
+        return trimText(text, limit);
+    };
+
+    forEachNode(tree, node => {
+        for (const session of node.ttaSessions || []) {
+            if (session.summary && session.summary.length > limit) {
+                trimmedSessionIds.add(session.id);
+                session.summary = trimText(session.summary, limit);
+            }
+        }
+        for (const details of node.activityDetails || []) {
+            details.comments = trim(details.comments);
+        }
+        if (node.activityComments) {
+            node.activityComments = trim(node.activityComments);
+        }
+    });
+
+    return trimmed + trimmedSessionIds.size;
+};
+
+/**
+ * Orders sessions by their day key, oldest first, with undated sessions before all dated ones
+ */
+const compareSessionDates = (a, b) => {
+    if (!a.date || !b.date) return (a.date ? 1 : 0) - (b.date ? 1 : 0);
+    return a.date < b.date ? -1 : a.date > b.date ? 1 : 0;
+};
+
+/**
+ * Keeps only the most recent sessions on each node, going by date since nodes above the activity
+ * level list their activities' sessions one activity after another; the kept ones stay in order
+ * Returns how many sessions were dropped
+ */
+const keepRecentSessions = (tree, maxSessions) => {
+    let dropped = 0;
+
+    forEachNode(tree, node => {
+        if (node.ttaSessions && node.ttaSessions.length > maxSessions) {
+            const kept = new Set([...node.ttaSessions].sort(compareSessionDates).slice(-maxSessions));
+            dropped += node.ttaSessions.length - maxSessions;
+            node.ttaSessions = node.ttaSessions.filter(session => kept.has(session));
+        }
+    });
+
+    return dropped;
+};
+
+/**
+ * Fits a report tree into a character budget, reducing it step by step until it fits:
+ *   1. drop pretty-printing
+ *   2. switch to the compact encoding (see payloadFormat.js)
+ *   3. trim long session summaries and activity comments, shorter each round
+ *   4. keep only the most recent sessions per record, fewer each round
+ * The budget always applies to the JSON, since that is what the AI takes in. With compress set,
+ * the deflate-base64 text actually sent (see payloadEncoding.js) only has to stay within
+ * PAYLOAD_CAPACITY, and pretty-printing is skipped, since nobody reads the compressed text.
+ * The tree passed in is never changed; hierarchy is passed on to encodePayload.
+ *
+ * Resolves to { json, content, contentEncoding, encoding, formatId, fits, rawLength, length, budget, reductions },
+ * where json is a payload envelope, content is the text to send (json encoded with contentEncoding),
+ * rawLength and length are their sizes, encoding is 'full' or 'compact', formatId is the value for
+ * the request's Payload Format field and reductions lists what was lost along the way as
+ * { step, description }. Steps 1 and 2 lose nothing, so they are not listed.
+ */
+export const fitPayloadToBudget = async (tree, budget = DEFAULT_PAYLOAD_BUDGET, { compress = false, hierarchy = null } = {}) => {
+    const contentEncoding = compress ? 'deflate-base64' : 'identity';
+    const reductions = [];
+    const result = async (json, encoding) => {
+        const content = await encodeContent(json, contentEncoding);
+        return {
+            json,
+            content,
+            contentEncoding,
+            encoding,
+            formatId: getPayloadFormatId(encoding),
+            fits: json.length <= budget && content.length <= PAYLOAD_CAPACITY,
+            rawLength: json.length,
+            length: content.length,
+            budget,
+            reductions,
+        };
+    };
+
+    if (!compress) {
+        const prettyPlan = await result(encodePayload(tree, 'full', { pretty: true, hierarchy }), 'full');
+        if (prettyPlan.fits) return prettyPlan;
+    }
+
+    const fullPlan = await result(encodePayload(tree, 'full', { hierarchy }), 'full');
+    if (fullPlan.fits) return fullPlan;
+
+    const serialize = (workingTree) => result(encodePayload(workingTree, 'compact', { hierarchy }), 'compact');
+
+    // Work on a copy, since the later steps change the tree
+    const workingTree = JSON.parse(JSON.stringify(tree));
+    let plan = await serialize(workingTree);
+    if (plan.fits) return plan;
+
+    // Each step is listed once, with its latest round; texts trimmed in an earlier round are
+    // over the next limit too, so the latest count covers them
+    const setReduction = (step, description) => {
+        const existing = reductions.find(reduction => reduction.step === step);
+        if (existing) {
+            existing.description = description;
+        } else {
+            reductions.push({ step, description });
+        }
+    };
+
+    for (const limit of TEXT_LIMITS) {
+        const trimmed = trimLongTexts(workingTree, limit);
+        if (trimmed > 0) {
+            setReduction('trimTexts', `Trimmed ${trimmed} session summaries and comments to ${limit.toLocaleString()} characters`);
+            plan = await serialize(workingTree);
+            if (plan.fits) return plan;
+        }
+    }
+
+    let droppedSessions = 0;
+    for (const maxSessions of SESSIONS_PER_RECORD) {
+        const dropped = keepRecentSessions(workingTree, maxSessions);
+        if (dropped > 0) {
+            droppedSessions += dropped;
+            setReduction('sampleSessions', `Kept only the ${maxSessions} most recent T/TA session${maxSessions > 1 ? 's' : ''} per record, dropping ${droppedSessions} older ones`);
+            plan = await serialize(workingTree);
+            if (plan.fits) return plan;
+        }
+    }
+
+    return plan;
+};
@@ -0,0 +1,60 @@
+/**
+ * Content encodings for the payload text carried by the chunk records (see chunkTransport.js).
+ * The manifest's contentEncoding says which one a request uses:
+ *   identity       - the payload JSON as is
+ *   deflate-base64 - the JSON's UTF-8 bytes, zlib-deflated (CompressionStream 'deflate'), then base64
+ *
+ * This is also the reference decoder for the backend automation and for tests:
+ * decodeContent(reassembledText, manifest.contentEncoding) gives back the payload JSON.
+ * It needs only CompressionStream, DecompressionStream, TextEncoder/TextDecoder and btoa/atob,
+ * which browsers and Node 18+ provide.
+ */
+export const CONTENT_ENCODINGS = ['identity', 'deflate-base64'];
+
+/**
+ * Runs bytes through a CompressionStream or DecompressionStream
+ */
+const transformBytes = async (bytes, transform) => {
+    const stream = new Blob([bytes]).stream().pipeThrough(transform);
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+// btoa takes a binary string; build it in slices to stay under the argument limit of fromCharCode
+const bytesToBase64 = (bytes) => {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+};
+
+const base64ToBytes = (text) => Uint8Array.from(atob(text), char => char.charCodeAt(0));
+
+/**
+ * Encodes payload JSON for transport
+ */
+export const encodeContent = async (json, contentEncoding = 'identity') => {
+    switch (contentEncoding) {
+        case 'identity':
+            return json;
+        case 'deflate-base64':
+            return bytesToBase64(await transformBytes(new TextEncoder().encode(json), new CompressionStream('deflate')));
+        default:
+            throw new Error(`Unknown content encoding: ${contentEncoding}`);
+    }
+};
+
+/**
+ * Decodes transported text back into the payload JSON
+ * A missing encoding (manifests written before compression existed) means identity
+ */
+export const decodeContent = async (text, contentEncoding = 'identity') => {
+    switch (contentEncoding) {
+        case 'identity':
+            return text;
+        case 'deflate-base64':
+            return new TextDecoder().decode(await transformBytes(base64ToBytes(text), new DecompressionStream('deflate')));
+        default:
+            throw new Error(`Unknown content encoding: ${contentEncoding}`);
+    }
+};
@@ -0,0 +1,149 @@
+import {
+    toSuperCompactFormat,
+    fromSuperCompactFormat,
+    toCompactSession,
+    fromCompactSession,
+} from './buildHierarchy';
+
+/**
+ * The wire format of the report JSON written to the Report Requests table.
+ *
+ * Every payload is an envelope:
+ *   { format: 'tta-summary-report', version: 2, encoding, hierarchy?, sessions, report, tables? }
+ * where hierarchy lists the levels node types refer to, top to bottom, as [{ key, label, order }]
+ * (order 0 is the top), since levels are configurable, and encoding says how `report` holds the tree:
+ *   full    - the tree as buildReport returns it
+ *   compact - toSuperCompactFormat, with the type → table ID map stored once in `tables`
+ * Each T/TA session is stored once in `sessions`, keyed by a short key ('s1', 's2', ...),
+ * and nodes list the keys of their sessions. Version 1 had no session table and kept
+ * sessions on the nodes; it can still be decoded.
+ * schemas/report-payload.v2.schema.json describes both encodings.
+ */
+export const PAYLOAD_FORMAT_NAME = 'tta-summary-report';
+export const PAYLOAD_FORMAT_VERSION = 2;
+const DECODABLE_VERSIONS = [1, PAYLOAD_FORMAT_VERSION];
+export const PAYLOAD_ENCODINGS = ['full', 'compact'];
+
+/**
+ * The value written to the request's Payload Format field, e.g. 'compact-v2'
+ */
+export const getPayloadFormatId = (encoding) => `${encoding}-v${PAYLOAD_FORMAT_VERSION}`;
+
+export const PAYLOAD_FORMAT_IDS = PAYLOAD_ENCODINGS.map(getPayloadFormatId);
+
+/**
+ * Collects the table ID of each node type in a tree
+ */
+const collectTableIds = (node, tables = {}) => {
+    if (!node) return tables;
+    if (node.tableId) {
+        tables[node.type] = node.tableId;
+    }
+    for (const child of node.children || []) {
+        collectTableIds(child, tables);
+    }
+    return tables;
+};
+
+/**
+ * Moves every T/TA session into a table keyed by a short key, replacing the sessions on
+ * each node with their keys. The tree passed in is not changed.
+ * Returns { tree, sessions }
+ */
+const extractSessions = (tree) => {
+    const keysBySession = new Map();
+    const sessions = {};
+
+    const getKey = (session) => {
+        // Sessions without an ID (e.g. decoded from version 1) are only shared if they are the same object
+        const sessionKey = session.id || session;
+        if (!keysBySession.has(sessionKey)) {
+            const key = `s${keysBySession.size + 1}`;
+            keysBySession.set(sessionKey, key);
+            sessions[key] = session;
+        }
+        return keysBySession.get(sessionKey);
+    };
+
+    const visit = (node) => {
+        const nodeWithKeys = { ...node, children: (node.children || []).map(visit) };
+        if (node.ttaSessions) {
+            nodeWithKeys.ttaSessions = node.ttaSessions.map(getKey);
+        }
+        return nodeWithKeys;
+    };
+
+    return { tree: tree ? visit(tree) : null, sessions };
+};
+
+/**
+ * Replaces session keys on every node with the sessions from the table (in place)
+ */
+const restoreSessions = (node, sessions) => {
+    if (!node) return node;
+    if (node.ttaSessions) {
+        node.ttaSessions = node.ttaSessions.map(key => (typeof key === 'string' ? sessions[key] : key));
+    }
+    for (const child of node.children || []) {
+        restoreSessions(child, sessions);
+    }
+    return node;
+};
+
+// Applies fn to every value of an object
+const mapValues = (object, fn) => Object.fromEntries(Object.entries(object).map(([key, value]) => [key, fn(value)]));
+
+/**
+ * Serializes a report tree into a payload envelope
+ * hierarchy is the list of levels, top to bottom, as [{ key, label }] (settings.hierarchyIds)
+ */
+export const encodePayload = (tree, encoding = 'full', { pretty = false, hierarchy = null } = {}) => {
+    const { tree: treeWithKeys, sessions } = extractSessions(tree);
+    const envelope = {
+        format: PAYLOAD_FORMAT_NAME,
+        version: PAYLOAD_FORMAT_VERSION,
+        encoding,
+    };
+    if (hierarchy) {
+        envelope.hierarchy = hierarchy.map((level, i) => ({ key: level.key, label: level.label, order: i }));
+    }
+
+    if (encoding === 'compact') {
+        envelope.tables = collectTableIds(tree);
+        envelope.sessions = mapValues(sessions, toCompactSession);
+        envelope.report = toSuperCompactFormat(treeWithKeys);
+    } else {
+        envelope.sessions = sessions;
+        envelope.report = treeWithKeys;
+    }
+
+    return pretty ? JSON.stringify(envelope, null, 2) : JSON.stringify(envelope);
+};
+
+/**
+ * Parses a payload envelope (JSON text or an already-parsed object) back into a full report tree
+ * Throws for payloads that are not in this format or use a version this code does not know
+ */
+export const decodePayload = (payload) => {
+    const envelope = typeof payload === 'string' ? JSON.parse(payload) : payload;
+
+    if (!envelope || envelope.format !== PAYLOAD_FORMAT_NAME) {
+        throw new Error(`Not a ${PAYLOAD_FORMAT_NAME} payload`);
+    }
+    if (!DECODABLE_VERSIONS.includes(envelope.version)) {
+        throw new Error(`Unsupported ${PAYLOAD_FORMAT_NAME} version: ${envelope.version}`);
+    }
+
+    const sessions = envelope.sessions || {};
+    switch (envelope.encoding) {
+        case 'full':
+            return restoreSessions(envelope.report, sessions);
+        case 'compact':
+            return restoreSessions(
+                fromSuperCompactFormat(envelope.report, envelope.tables),
+                mapValues(sessions, fromCompactSession)
+            );
+        default:
+            throw new Error(`Unknown ${PAYLOAD_FORMAT_NAME} encoding: ${envelope.encoding}`);
+    }
+};
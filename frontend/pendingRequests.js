@@ -0,0 +1,38 @@
+import { useGlobalConfig, useSession } from '@airtable/blocks/ui';
+
+// globalConfig path for a user's report requests that have not been shown yet (an array of record IDs)
+export const getPendingRequestsConfigKey = (userId) => ['pendingRequests', userId];
+
+/**
+ * The current user's pending report requests, kept in globalConfig so they survive reloads.
+ * A request is pending from the moment it is created until its report (or error) has been shown.
+ * Without a signed-in user or permission to write globalConfig, nothing is persisted.
+ * Returns { pendingRequestIds, addPendingRequest, removePendingRequest }
+ */
+export const usePendingRequests = () => {
+    const globalConfig = useGlobalConfig();
+    const session = useSession();
+    const configKey = session.currentUser ? getPendingRequestsConfigKey(session.currentUser.id) : null;
+
+    // Read at call time, so quick successive updates build on each other
+    const getPendingRequestIds = () => (configKey ? globalConfig.get(configKey) || [] : []);
+
+    const setPendingRequestIds = (requestIds) => {
+        if (!configKey || !globalConfig.hasPermissionToSet(configKey)) return;
+        globalConfig.setAsync(configKey, requestIds)
+            .catch(error => console.error('Error saving pending report requests:', error));
+    };
+
+    return {
+        pendingRequestIds: getPendingRequestIds(),
+        addPendingRequest: (requestId) => {
+            const requestIds = getPendingRequestIds();
+            if (!requestIds.includes(requestId)) {
+                setPendingRequestIds([...requestIds, requestId]);
+            }
+        },
+        removePendingRequest: (requestId) => {
+            setPendingRequestIds(getPendingRequestIds().filter(id => id !== requestId));
+        },
+    };
+};
@@ -0,0 +1,49 @@
+/**
+ * Record adapters give the hierarchy builder one way to read records, whatever they are.
+ *
+ * An adapter implements:
+ *   getName(record)              - the record's display name
+ *   getValue(record, fieldId)    - the raw cell value, or null
+ *   getString(record, fieldId)   - the cell value as a string ('' when empty)
+ *   getLinkedIds(record, fieldId) - IDs of the records linked from a link field
+ *
+ * Every record is also expected to have an `id` property.
+ */
+
+/**
+ * Adapter for Airtable Record models inside the extension
+ */
+export const airtableRecordAdapter = {
+    getName: (record) => record.name || 'Unknown',
+    getValue: (record, fieldId) => (fieldId ? record.getCellValue(fieldId) : null),
+    getString: (record, fieldId) => (fieldId ? record.getCellValueAsString(fieldId) : ''),
+    getLinkedIds: (record, fieldId) => {
+        const linked = fieldId ? record.getCellValue(fieldId) : null;
+        return linked ? linked.map(l => l.id) : [];
+    },
+};
+
+/**
+ * Converts a plain JSON cell value to a string, roughly like getCellValueAsString
+ */
+const jsonValueToString = (value) => {
+    if (value === null || value === undefined) return '';
+    if (Array.isArray(value)) return value.map(jsonValueToString).join(', ');
+    if (typeof value === 'object') return value.name || value.id || '';
+    return String(value);
+};
+
+/**
+ * Adapter for plain JSON records, e.g. fixtures or exports used by scripts and tests
+ * Records look like { id, name, fields: { [fieldId]: value } }, where link values are
+ * arrays of record IDs or of { id } objects
+ */
+export const jsonRecordAdapter = {
+    getName: (record) => record.name || 'Unknown',
+    getValue: (record, fieldId) => record.fields?.[fieldId] ?? null,
+    getString: (record, fieldId) => jsonValueToString(record.fields?.[fieldId]),
+    getLinkedIds: (record, fieldId) => {
+        const linked = record.fields?.[fieldId];
+        return Array.isArray(linked) ? linked.map(l => (typeof l === 'string' ? l : l.id)) : [];
+    },
+};
@@ -0,0 +1,124 @@
+import { airtableRecordAdapter } from './recordAdapter';
+
+/**
+ * Indexes one link field in both directions
+ * Children keep the order of the records they came from
+ */
+const indexLinkField = (records, linkFieldId, adapter) => {
+    const childrenByParentId = new Map();
+    const parentIdsByChildId = new Map();
+
+    for (const record of records) {
+        const parentIds = adapter.getLinkedIds(record, linkFieldId);
+        parentIdsByChildId.set(record.id, parentIds);
+
+        for (const parentId of parentIds) {
+            if (!childrenByParentId.has(parentId)) {
+                childrenByParentId.set(parentId, []);
+            }
+            childrenByParentId.get(parentId).push(record);
+        }
+    }
+
+    return {
+        getChildren: (parentId) => childrenByParentId.get(parentId) || [],
+        getParentIds: (childId) => parentIdsByChildId.get(childId) || [],
+    };
+};
+
+/**
+ * Indexes records by ID
+ */
+const indexById = (records) => new Map(records.map(record => [record.id, record]));
+
+/**
+ * Builds record-ID and parent→children indexes for the whole hierarchy
+ * Build this once per data load and share it between the hierarchy builder and the UI
+ *
+ * hierarchy lists the levels from top to bottom as
+ *   { key, parentLinkFieldId, skipLinks: [{ level, fieldId }] }
+ * where parentLinkFieldId links to the level above and each skip link links past it,
+ * to a higher level. The first level has no links; the last level holds the activities
+ * (the records with dates and status that T/TA sessions link to).
+ *
+ * Returns:
+ *   levels               - the level keys, top to bottom
+ *   byLevel[key]         - records by ID
+ *   parentLinks[key]     - the link from each level (but the first) to the level above
+ *   skipLinks[key][key2] - the skip link from a level to a higher level
+ *   workplanSources      - records of the top level by ID
+ *   activities           - records of the bottom level by ID
+ *   ttaSessions          - T/TA session records by ID
+ *   sessionsToActivities - the link from sessions to activities
+ */
+export const buildRecordIndex = (
+    { levels: recordsByLevel, ttaSessions },
+    hierarchy,
+    { ttaSessionsLink },
+    adapter = airtableRecordAdapter
+) => {
+    const levels = hierarchy.map(level => level.key);
+    const byLevel = {};
+    const parentLinks = {};
+    const skipLinks = {};
+
+    hierarchy.forEach((level, i) => {
+        const records = recordsByLevel[level.key] || [];
+        byLevel[level.key] = indexById(records);
+        skipLinks[level.key] = {};
+
+        if (i === 0) return;
+        parentLinks[level.key] = indexLinkField(records, level.parentLinkFieldId, adapter);
+        for (const skipLink of level.skipLinks || []) {
+            skipLinks[level.key][skipLink.level] = indexLinkField(records, skipLink.fieldId, adapter);
+        }
+    });
+
+    return {
+        levels,
+        byLevel,
+        parentLinks,
+        skipLinks,
+        workplanSources: byLevel[levels[0]] || new Map(),
+        activities: byLevel[levels[levels.length - 1]] || new Map(),
+        ttaSessions: indexById(ttaSessions),
+        sessionsToActivities: indexLinkField(ttaSessions, ttaSessionsLink, adapter),
+    };
+};
+
+/**
+ * Checks whether a record has any records under it at a lower level, following parent links
+ * level by level and skip links straight down. Records reached only through a skip link past
+ * the target level do not count, e.g. a workplan source whose objectives all link to it directly
+ * has nothing at the goal level.
+ */
+export const hasRecordsAtLevel = (recordIndex, levelIndex, recordId, targetIndex) => {
+    if (levelIndex === targetIndex) return true;
+
+    const { levels, parentLinks, skipLinks } = recordIndex;
+    const level = levels[levelIndex];
+
+    for (let i = levelIndex + 1; i <= targetIndex; i++) {
+        const link = i === levelIndex + 1 ? parentLinks[levels[i]] : skipLinks[levels[i]][level];
+        if (link && link.getChildren(recordId).some(child => hasRecordsAtLevel(recordIndex, i, child.id, targetIndex))) {
+            return true;
+        }
+    }
+    return false;
+};
+
+/**
+ * Describes the original fixed hierarchy (workplan source → goal → objective → activity,
+ * with objectives optionally linked straight to a workplan source) from its link field IDs
+ */
+export const getLegacyHierarchy = ({ goalsLink, objectivesLink, objectivesToSourcesLink, activitiesLink }) => [
+    { key: 'workplanSource', label: 'Workplan Source' },
+    { key: 'goal', label: 'Goal', parentLinkFieldId: goalsLink },
+    {
+        key: 'objective',
+        label: 'Objective',
+        parentLinkFieldId: objectivesLink,
+        skipLinks: [{ level: 'workplanSource', fieldId: objectivesToSourcesLink }],
+    },
+    { key: 'activity', label: 'Activity', parentLinkFieldId: activitiesLink },
+];
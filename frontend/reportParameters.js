@@ -0,0 +1,98 @@
+/**
+ * What a report request was made with, stored as JSON in its Request Parameters field so the
+ * request can be listed in the history, and re-run with the same or adjusted parameters:
+ *   { version, mode, topLevel, selections, dimension, bottomLevel, startDate, endDate, datePolicy }
+ * where mode is one of REPORT_MODES, topLevel is the level key picked in the form (or 'dimension'),
+ * selections are [{ level, recordId, recordName, reportMode, boardPlanSourceIds }] with the report
+ * mode detected for the record ('boardPlan', 'tta' or 'mixed', see getRecordModes), dimension is
+ * { fieldId, fieldName, valueId, valueName } for dimension reports and null otherwise, and an empty
+ * bottomLevel means the bottom of the hierarchy. The names are kept for display; re-runs go by ID.
+ */
+export const REPORT_PARAMETERS_VERSION = 1;
+
+// The Report Mode values, which the Report Mode field must offer as choices
+export const REPORT_MODES = ['hierarchy', 'dimension'];
+
+// How a selection's mode is shown in the history
+const SELECTION_MODE_LABELS = { boardPlan: 'Board Plan', tta: 'T/TA', mixed: 'Board Plan + T/TA' };
+
+/**
+ * Names a selection's report mode from getRecordModes' result
+ */
+const getSelectionMode = (modes) => {
+    if (!modes) return 'tta';
+    if (modes.boardPlan) return modes.tta ? 'mixed' : 'boardPlan';
+    return 'tta';
+};
+
+/**
+ * Collects the report form's state into request parameters
+ * selections are the form's selections with their detected modes (selectionModes in index.js)
+ */
+export const createReportParameters = ({ topLevel, selections, dimension, bottomLevel, startDate, endDate, datePolicy }) => ({
+    version: REPORT_PARAMETERS_VERSION,
+    mode: dimension ? 'dimension' : 'hierarchy',
+    topLevel,
+    selections: dimension ? [] : selections.map(({ level, recordId, recordName, modes }) => ({
+        level,
+        recordId,
+        recordName,
+        reportMode: getSelectionMode(modes),
+        boardPlanSourceIds: modes ? modes.boardPlanSourceIds : [],
+    })),
+    dimension: dimension
+        ? {
+            fieldId: dimension.fieldId,
+            fieldName: dimension.fieldName,
+            valueId: dimension.value.id,
+            valueName: dimension.value.name,
+        }
+        : null,
+    bottomLevel: bottomLevel || '',
+    startDate: startDate || '',
+    endDate: endDate || '',
+    datePolicy,
+});
+
+/**
+ * Reads request parameters from a Request Parameters cell
+ * Returns null when the cell is empty or does not hold parameters this version understands
+ */
+export const parseReportParameters = (text) => {
+    if (!text) return null;
+
+    try {
+        const parameters = JSON.parse(text);
+        return parameters && parameters.version === REPORT_PARAMETERS_VERSION ? parameters : null;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * One line about what a request covered, e.g. 'Workplan Source: Early Literacy → Activity, 2024-01-01 to 2024-06-30'
+ */
+export const describeReportParameters = (parameters, getLevelLabel) => {
+    const subject = parameters.mode === 'dimension' && parameters.dimension
+        ? `${parameters.dimension.fieldName}: ${parameters.dimension.valueName}`
+        : parameters.selections
+            .map(selection => {
+                const modeLabel = selection.reportMode && selection.reportMode !== 'tta'
+                    ? ` [${SELECTION_MODE_LABELS[selection.reportMode]}]`
+                    : '';
+                return `${getLevelLabel(selection.level)}: ${selection.recordName || selection.recordId}${modeLabel}`;
+            })
+            .join('; ');
+    const bottom = parameters.bottomLevel ? ` → ${getLevelLabel(parameters.bottomLevel)}` : '';
+
+    let range = 'all dates';
+    if (parameters.startDate && parameters.endDate) {
+        range = `${parameters.startDate} to ${parameters.endDate}`;
+    } else if (parameters.startDate) {
+        range = `from ${parameters.startDate}`;
+    } else if (parameters.endDate) {
+        range = `until ${parameters.endDate}`;
+    }
+
+    return `${subject}${bottom}, ${range}`;
+};
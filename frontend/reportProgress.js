@@ -0,0 +1,60 @@
+/**
+ * How the report backend reports progress on a request while its Status is 'Pending'.
+ * It writes four fields of the request record, as often as it likes:
+ *   Progress Stage     - what it is doing, e.g. 'Summarizing goals'
+ *   Sections Completed - how many report sections are done so far
+ *   Sections Total     - how many sections the report has, once known
+ *   Progress Updated   - when it last wrote any of the above (date-time)
+ * Every field is optional, in the backend and in the settings. Without a total the extension shows
+ * the stage without a bar, and with none of them mapped it shows a spinner. A request whose last
+ * update (or, before the first one, whose tracking start) is older than REPORT_STALE_MS is flagged
+ * as possibly stuck, unless no progress field is mapped.
+ */
+export const REPORT_STALE_MS = 2 * 60 * 1000;
+
+/**
+ * Reads the progress fields of a request record
+ * fieldIds: { progressStage, progressCompleted, progressTotal, progressUpdatedAt }, any of them unset when unmapped
+ * Returns { stage, completed, total, updatedAt } with updatedAt a Date or null,
+ * or null when none of the progress fields is mapped
+ */
+export const readReportProgress = (record, fieldIds) => {
+    const { progressStage, progressCompleted, progressTotal, progressUpdatedAt } = fieldIds;
+    if (!progressStage && !progressCompleted && !progressTotal && !progressUpdatedAt) return null;
+
+    const updatedAt = progressUpdatedAt ? record.getCellValue(progressUpdatedAt) : null;
+
+    return {
+        stage: progressStage ? record.getCellValueAsString(progressStage) : '',
+        completed: (progressCompleted && record.getCellValue(progressCompleted)) || 0,
+        total: (progressTotal && record.getCellValue(progressTotal)) || 0,
+        updatedAt: updatedAt ? new Date(updatedAt) : null,
+    };
+};
+
+/**
+ * How far along a request is, from 0 to 1, or null when the backend has not given a total
+ */
+export const getProgressFraction = (progress) => {
+    if (!progress || !(progress.total > 0)) return null;
+    return Math.min(1, Math.max(0, progress.completed / progress.total));
+};
+
+/**
+ * Milliseconds since the last progress update, counting from `since` when there has been none
+ */
+export const getTimeSinceProgress = (progress, since, now = Date.now()) => {
+    const lastUpdate = progress && progress.updatedAt ? progress.updatedAt.getTime() : since;
+    return Math.max(0, now - lastUpdate);
+};
+
+/**
+ * Describes progress in a few words, e.g. 'Summarizing goals (3 of 10 sections)'
+ */
+export const describeReportProgress = (progress) => {
+    if (!progress) return '';
+
+    const sections = progress.total > 0 ? `${progress.completed} of ${progress.total} sections` : '';
+    if (progress.stage && sections) return `${progress.stage} (${sections})`;
+    return progress.stage || sections;
+};
@@ -0,0 +1,286 @@
+import {
+    TABLE_SETTINGS,
+    FIELD_SETTINGS,
+    HIERARCHY_TABLE_ROLES,
+    BOARD_PLAN_FIELD_TYPES,
+    LINK_TYPES,
+    RESERVED_LEVEL_KEYS,
+} from './settings';
+import { PAYLOAD_CAPACITY } from './payloadBudget';
+
+/**
+ * Gets a readable name for a field type ID, e.g. 'multipleRecordLinks' -> 'multiple record links'
+ */
+const getReadableFieldType = (type) => {
+    return type.replace(/([A-Z])/g, ' $1').toLowerCase();
+};
+
+/**
+ * Checks a single mapped field against what the extension expects of it
+ * Returns a list of problems (empty when the field is usable)
+ */
+const validateField = (fieldSetting, field, tables) => {
+    const problems = [];
+
+    if (fieldSetting.allowedTypes && !fieldSetting.allowedTypes.includes(field.type)) {
+        problems.push({
+            message: `"${field.name}" is a ${getReadableFieldType(field.type)} field.`,
+            fix: `Change it to a ${fieldSetting.allowedTypes.map(getReadableFieldType).join(' or ')} field, or pick a different field in settings.`,
+        });
+        return problems;
+    }
+
+    if (fieldSetting.linkedTable) {
+        const expectedTable = tables[fieldSetting.linkedTable];
+        const linkedTableId = field.options?.linkedTableId;
+        if (expectedTable && linkedTableId !== expectedTable.id) {
+            const expectedLabel = [...TABLE_SETTINGS, ...HIERARCHY_TABLE_ROLES]
+                .find(t => t.key === fieldSetting.linkedTable).label;
+            problems.push({
+                message: `"${field.name}" does not link to the ${expectedLabel} table ("${expectedTable.name}").`,
+                fix: `Pick the field that links to "${expectedTable.name}", or change this field to link there.`,
+            });
+        }
+    }
+
+    if (fieldSetting.requiredChoices) {
+        const choiceNames = (field.options?.choices || []).map(choice => choice.name);
+        const missingChoices = fieldSetting.requiredChoices.filter(name => !choiceNames.includes(name));
+        if (missingChoices.length > 0) {
+            problems.push({
+                message: `"${field.name}" is missing the option${missingChoices.length > 1 ? 's' : ''} ${missingChoices.map(name => `"${name}"`).join(', ')}.`,
+                fix: `Add ${missingChoices.map(name => `"${name}"`).join(' and ')} to the field's options.`,
+            });
+        }
+    }
+
+    return problems;
+};
+
+/**
+ * Checks whether the runtime knows an IANA time zone name
+ */
+const isValidTimeZone = (timeZone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Checks a hierarchy link field: that it is set, still exists, and links to the expected level's table
+ * Returns a list of problems (empty when the link is usable)
+ */
+const validateLevelLink = (field, fieldId, targetLevel) => {
+    if (!field) {
+        return [{
+            message: fieldId ? 'The selected link field was deleted.' : 'No link field is selected.',
+            fix: `Open settings and pick the field that links to ${targetLevel.label} records.`,
+        }];
+    }
+
+    if (!LINK_TYPES.includes(field.type)) {
+        return [{
+            message: `"${field.name}" is a ${getReadableFieldType(field.type)} field.`,
+            fix: `Change it to a ${LINK_TYPES.map(getReadableFieldType).join(' or ')} field, or pick a different field in settings.`,
+        }];
+    }
+
+    if (targetLevel.table && field.options?.linkedTableId !== targetLevel.table.id) {
+        return [{
+            message: `"${field.name}" does not link to the ${targetLevel.label} table ("${targetLevel.table.name}").`,
+            fix: `Pick the field that links to "${targetLevel.table.name}", or change this field to link there.`,
+        }];
+    }
+
+    return [];
+};
+
+/**
+ * Checks the hierarchy levels: each needs a table and a link to the level above,
+ * skip links must link to the level they name, and level keys must be unique
+ */
+const validateHierarchy = (hierarchy, levelSettings) => {
+    const issues = [];
+
+    if (hierarchy.length === 0) {
+        return [{
+            key: 'hierarchy',
+            location: 'Hierarchy',
+            message: 'The hierarchy has no levels.',
+            fix: 'Open settings and add at least one level.',
+        }];
+    }
+
+    hierarchy.forEach((level, i) => {
+        const location = `Hierarchy → ${level.label}`;
+        const settingsForLevel = levelSettings[i];
+
+        if (!level.key || RESERVED_LEVEL_KEYS.includes(level.key) ||
+            hierarchy.findIndex(other => other.key === level.key) !== i) {
+            issues.push({
+                key: `hierarchy.${i}`,
+                location,
+                message: `The level key "${level.key}" is missing, reserved or used by another level.`,
+                fix: 'Remove the level and add it again in settings.',
+            });
+        }
+
+        if (!level.table) {
+            issues.push({
+                key: `hierarchy.${level.key}`,
+                location,
+                message: 'No table is selected, or the selected table was deleted.',
+                fix: `Open settings and pick the ${level.label} table.`,
+            });
+            return;
+        }
+
+        if (i > 0) {
+            const problems = validateLevelLink(level.parentLinkField, settingsForLevel.parentLinkFieldId, hierarchy[i - 1]);
+            for (const problem of problems) {
+                issues.push({ key: `hierarchy.${level.key}.parentLink`, location: `${location} → Link to ${hierarchy[i - 1].label}`, ...problem });
+            }
+        }
+
+        for (const skipLink of settingsForLevel.skipLinks || []) {
+            if (!skipLink.fieldId) continue;
+
+            const targetIndex = hierarchy.findIndex(other => other.key === skipLink.level);
+            const resolved = level.skipLinks.find(other => other.level === skipLink.level);
+            const skipLocation = `${location} → Link to ${targetIndex >= 0 ? hierarchy[targetIndex].label : skipLink.level}`;
+
+            if (targetIndex < 0 || targetIndex >= i - 1) {
+                issues.push({
+                    key: `hierarchy.${level.key}.skipLink.${skipLink.level}`,
+                    location: skipLocation,
+                    message: 'This link skips to a level that is no longer above the level\'s parent.',
+                    fix: 'Open settings and clear the link.',
+                });
+                continue;
+            }
+
+            for (const problem of validateLevelLink(resolved?.field, skipLink.fieldId, hierarchy[targetIndex])) {
+                issues.push({ key: `hierarchy.${level.key}.skipLink.${skipLink.level}`, location: skipLocation, ...problem });
+            }
+        }
+    });
+
+    return issues;
+};
+
+/**
+ * Checks that a field-based Board Plan rule points at a usable field and value
+ */
+const validateBoardPlanRule = (rule, workplanSourcesTable) => {
+    const allowedTypes = BOARD_PLAN_FIELD_TYPES[rule.type];
+    if (!allowedTypes || !workplanSourcesTable) return [];
+
+    const location = `${workplanSourcesTable.name} → Board Plan detection`;
+
+    if (!rule.field) {
+        return [{
+            key: 'boardPlan',
+            location,
+            message: 'No field is selected for Board Plan detection, or the selected field was deleted.',
+            fix: `Open settings and pick the ${getReadableFieldType(allowedTypes[0])} field that marks Board Plan sources.`,
+        }];
+    }
+
+    if (!allowedTypes.includes(rule.field.type)) {
+        return [{
+            key: 'boardPlan',
+            location,
+            message: `"${rule.field.name}" is a ${getReadableFieldType(rule.field.type)} field.`,
+            fix: `Pick a ${getReadableFieldType(allowedTypes[0])} field for Board Plan detection.`,
+        }];
+    }
+
+    if (rule.type === 'select') {
+        const choiceNames = (rule.field.options?.choices || []).map(choice => choice.name);
+        if (!choiceNames.includes(rule.selectValue)) {
+            return [{
+                key: 'boardPlan',
+                location,
+                message: rule.selectValue
+                    ? `"${rule.field.name}" has no option "${rule.selectValue}".`
+                    : 'No option is selected for Board Plan detection.',
+                fix: `Open settings and pick the "${rule.field.name}" option that marks Board Plan sources.`,
+            }];
+        }
+    }
+
+    return [];
+};
+
+/**
+ * Checks every table and field the extension depends on
+ * Returns a list of issues, each with a location, a message and a suggested fix
+ */
+export const validateSchema = (settings) => {
+    const { tables, fields } = settings;
+    const issues = [];
+
+    for (const tableSetting of TABLE_SETTINGS) {
+        if (!tables[tableSetting.key]) {
+            issues.push({
+                key: tableSetting.key,
+                location: tableSetting.label,
+                message: 'No table is selected, or the selected table was deleted.',
+                fix: `Open settings and pick the ${tableSetting.label} table.`,
+            });
+        }
+    }
+
+    issues.push(...validateHierarchy(settings.hierarchy, settings.levelSettings));
+
+    for (const fieldSetting of FIELD_SETTINGS) {
+        const table = tables[fieldSetting.table];
+        if (!table) continue;
+
+        const location = `${table.name} → ${fieldSetting.label}`;
+        const field = fields[fieldSetting.key];
+
+        if (!field) {
+            if (fieldSetting.optional) continue;
+
+            issues.push({
+                key: fieldSetting.key,
+                location,
+                message: 'No field is selected, or the selected field was deleted.',
+                fix: `Open settings and pick the ${fieldSetting.label} field of "${table.name}".`,
+            });
+            continue;
+        }
+
+        for (const problem of validateField(fieldSetting, field, tables)) {
+            issues.push({ key: fieldSetting.key, location, ...problem });
+        }
+    }
+
+    issues.push(...validateBoardPlanRule(settings.boardPlanRule, tables.workplanSources));
+
+    if (settings.configuredTimeZone && !isValidTimeZone(settings.configuredTimeZone)) {
+        issues.push({
+            key: 'timeZone',
+            location: 'Report time zone',
+            message: `"${settings.configuredTimeZone}" is not a recognized time zone.`,
+            fix: 'Use an IANA time zone name such as "America/New_York", or clear the setting.',
+        });
+    }
+
+    const { configuredPayloadBudget } = settings;
+    if (configuredPayloadBudget && !(Number.isInteger(Number(configuredPayloadBudget)) &&
+        Number(configuredPayloadBudget) > 0 && Number(configuredPayloadBudget) <= PAYLOAD_CAPACITY)) {
+        issues.push({
+            key: 'payloadBudget',
+            location: 'Payload budget',
+            message: `"${configuredPayloadBudget}" is not a usable number of characters.`,
+            fix: `Use a whole number up to ${PAYLOAD_CAPACITY.toLocaleString()}, or clear the setting.`,
+        });
+    }
+
+    return issues;
+};
@@ -0,0 +1,299 @@
+import {useBase, useGlobalConfig} from '@airtable/blocks/ui';
+import {useMemo} from 'react';
+import {FieldType} from '@airtable/blocks/models';
+import { DEFAULT_BOARD_PLAN_NAME_TEXT } from './boardPlan';
+import { getFieldTimeZone } from './dateRange';
+import { DEFAULT_COMPLETE_STATUSES } from './buildHierarchy';
+import { DEFAULT_PAYLOAD_BUDGET } from './payloadBudget';
+import { PAYLOAD_FORMAT_IDS } from './payloadFormat';
+import { REPORT_MODES } from './reportParameters';
+import { getLegacyHierarchy } from './recordIndex';
+
+export const LINK_TYPES = [FieldType.MULTIPLE_RECORD_LINKS];
+const DATE_TYPES = [FieldType.DATE, FieldType.DATE_TIME];
+const LONG_TEXT_TYPES = [FieldType.MULTILINE_TEXT];
+const TEXT_TYPES = [FieldType.MULTILINE_TEXT, FieldType.RICH_TEXT, FieldType.SINGLE_LINE_TEXT];
+const COLLABORATOR_TYPES = [FieldType.SINGLE_COLLABORATOR];
+const NUMBER_TYPES = [FieldType.NUMBER];
+
+/**
+ * Tables the extension reads from or writes to besides the hierarchy levels, keyed by their globalConfig name
+ */
+export const TABLE_SETTINGS = [
+    { key: 'ttaSessions', label: 'T/TA Sessions' },
+    { key: 'reportRequests', label: 'Report Requests' },
+    { key: 'reportChunks', label: 'Report Chunks' },
+];
+
+/**
+ * Hierarchy levels with a fixed role: the top level's records are the workplan sources
+ * Board Plan detection looks at, and the bottom level's records are the activities
+ * T/TA sessions link to. Their tables are keyed like TABLE_SETTINGS.
+ */
+export const HIERARCHY_TABLE_ROLES = [
+    { key: 'workplanSources', label: 'top hierarchy level' },
+    { key: 'activities', label: 'bottom hierarchy level' },
+];
+
+/**
+ * Fields the extension depends on, grouped by the table (TABLE_SETTINGS or HIERARCHY_TABLE_ROLES key) they live in
+ * Optional fields can stay unmapped; the features that use them are skipped until they are mapped.
+ */
+export const FIELD_SETTINGS = [
+    { key: 'activitiesStartDate', table: 'activities', label: 'Start date', allowedTypes: DATE_TYPES },
+    { key: 'activitiesEndDate', table: 'activities', label: 'End date', allowedTypes: DATE_TYPES },
+    { key: 'activitiesComments', table: 'activities', label: 'Comments (Board Plan)' },
+    { key: 'activitiesStatus', table: 'activities', label: 'Status' },
+    { key: 'ttaSessionsLink', table: 'ttaSessions', label: 'Link to Activities', allowedTypes: LINK_TYPES, linkedTable: 'activities' },
+    { key: 'ttaSessionsDate', table: 'ttaSessions', label: 'Session date', allowedTypes: DATE_TYPES },
+    { key: 'ttaSummaryForAI', table: 'ttaSessions', label: 'T/TA Summary for AI' },
+    { key: 'reportManifest', table: 'reportRequests', label: 'Payload Manifest', allowedTypes: LONG_TEXT_TYPES },
+    { key: 'reportStartDate', table: 'reportRequests', label: 'Start Date', allowedTypes: DATE_TYPES },
+    { key: 'reportEndDate', table: 'reportRequests', label: 'End Date', allowedTypes: DATE_TYPES },
+    { key: 'reportPayloadFormat', table: 'reportRequests', label: 'Payload Format', allowedTypes: [FieldType.SINGLE_SELECT], requiredChoices: PAYLOAD_FORMAT_IDS },
+    { key: 'reportStatus', table: 'reportRequests', label: 'Status', allowedTypes: [FieldType.SINGLE_SELECT], requiredChoices: ['Uploading', 'Pending', 'Ready', 'Error', 'Cancelled'] },
+    { key: 'reportGeneratedReport', table: 'reportRequests', label: 'Generated Report', allowedTypes: TEXT_TYPES },
+    { key: 'reportErrorMessage', table: 'reportRequests', label: 'Error Message', allowedTypes: TEXT_TYPES },
+    // What each request was made with; Request Parameters holds all of it (see reportParameters.js) and
+    // enables re-runs, the other fields are for reading the table. Top Records links only selections at the top level.
+    { key: 'reportParameters', table: 'reportRequests', label: 'Request Parameters', allowedTypes: LONG_TEXT_TYPES, optional: true },
+    { key: 'reportMode', table: 'reportRequests', label: 'Report Mode', allowedTypes: [FieldType.SINGLE_SELECT], requiredChoices: REPORT_MODES, optional: true },
+    { key: 'reportTopLevel', table: 'reportRequests', label: 'Top Level', allowedTypes: TEXT_TYPES, optional: true },
+    { key: 'reportTopRecords', table: 'reportRequests', label: 'Top Records', allowedTypes: LINK_TYPES, linkedTable: 'workplanSources', optional: true },
+    { key: 'reportBottomLevel', table: 'reportRequests', label: 'Bottom Level', allowedTypes: TEXT_TYPES, optional: true },
+    { key: 'reportRequester', table: 'reportRequests', label: 'Requester', allowedTypes: COLLABORATOR_TYPES, optional: true },
+    // Written by the backend while it generates (see reportProgress.js)
+    { key: 'reportProgressStage', table: 'reportRequests', label: 'Progress Stage', allowedTypes: TEXT_TYPES, optional: true },
+    { key: 'reportProgressCompleted', table: 'reportRequests', label: 'Sections Completed', allowedTypes: NUMBER_TYPES, optional: true },
+    { key: 'reportProgressTotal', table: 'reportRequests', label: 'Sections Total', allowedTypes: NUMBER_TYPES, optional: true },
+    { key: 'reportProgressUpdatedAt', table: 'reportRequests', label: 'Progress Updated', allowedTypes: [FieldType.DATE_TIME], optional: true },
+    { key: 'chunkRequestLink', table: 'reportChunks', label: 'Link to Report Requests', allowedTypes: LINK_TYPES, linkedTable: 'reportRequests' },
+    { key: 'chunkIndex', table: 'reportChunks', label: 'Chunk number', allowedTypes: [FieldType.NUMBER] },
+    { key: 'chunkData', table: 'reportChunks', label: 'Chunk data', allowedTypes: LONG_TEXT_TYPES },
+];
+
+/**
+ * Levels that can send extra fields to the AI, keyed like the report levels ('ttaSession' for sessions)
+ * Returns [{ key, label, table }] for every hierarchy level, then the T/TA sessions
+ */
+export const getExtraFieldLevels = (hierarchy, tables) => [
+    ...hierarchy.map(level => ({ key: level.key, label: level.label, table: level.table })),
+    { key: 'ttaSession', label: 'T/TA Sessions', table: tables.ttaSessions },
+];
+
+// globalConfig paths for table and field IDs
+export const getTableConfigKey = (key) => ['tables', key];
+export const getFieldConfigKey = (key) => ['fields', key];
+
+// globalConfig path for the extra field IDs of a level (an array)
+export const getExtraFieldsConfigKey = (level) => ['extraFields', level];
+
+// globalConfig path for the hierarchy levels, top to bottom, as
+// [{ key, label, tableId, parentLinkFieldId, skipLinks: [{ level, fieldId }] }]
+export const HIERARCHY_CONFIG_KEY = ['hierarchy', 'levels'];
+
+// Level keys used by the report itself, which a hierarchy level cannot take
+export const RESERVED_LEVEL_KEYS = ['report', 'ttaSession', 'dimension'];
+
+/**
+ * Makes a level key from a label, e.g. 'Workplan Source' -> 'workplanSource',
+ * unique among the keys already taken
+ */
+export const createLevelKey = (label, takenKeys) => {
+    const words = label.replace(/[^A-Za-z0-9]+/g, ' ').trim().split(' ').filter(Boolean);
+    const baseKey = words
+        .map((word, i) => (i === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1).toLowerCase()))
+        .join('') || 'level';
+
+    let key = baseKey;
+    for (let n = 2; takenKeys.includes(key) || RESERVED_LEVEL_KEYS.includes(key); n++) {
+        key = `${baseKey}${n}`;
+    }
+    return key;
+};
+
+/**
+ * Reads the hierarchy saved before levels were configurable (fixed tables and link fields),
+ * so existing bases keep working until the hierarchy is edited
+ */
+const getLegacyLevelSettings = (globalConfig) => {
+    const legacyTableKeys = ['workplanSources', 'goals', 'objectives', 'activities'];
+    const legacyLevels = getLegacyHierarchy({
+        goalsLink: globalConfig.get(getFieldConfigKey('goalsLink')),
+        objectivesLink: globalConfig.get(getFieldConfigKey('objectivesLink')),
+        objectivesToSourcesLink: globalConfig.get(getFieldConfigKey('objectivesToSourcesLink')),
+        activitiesLink: globalConfig.get(getFieldConfigKey('activitiesLink')),
+    });
+
+    return legacyLevels.map((level, i) => ({
+        ...level,
+        tableId: globalConfig.get(getTableConfigKey(legacyTableKeys[i])),
+    }));
+};
+
+// globalConfig paths for the Board Plan detection rule
+export const BOARD_PLAN_CONFIG_KEYS = {
+    type: ['boardPlan', 'type'],
+    nameText: ['boardPlan', 'nameText'],
+    fieldId: ['boardPlan', 'fieldId'],
+    selectValue: ['boardPlan', 'selectValue'],
+    recordIds: ['boardPlan', 'recordIds'],
+};
+
+// The Board Plan record IDs while none are picked; one shared array keeps memos keyed on it stable
+const NO_BOARD_PLAN_RECORD_IDS = Object.freeze([]);
+
+// globalConfig path for the time zone date-time values are read in
+export const TIME_ZONE_CONFIG_KEY = 'timeZone';
+
+// globalConfig path for the comma-separated activity statuses that count as complete
+export const COMPLETE_STATUSES_CONFIG_KEY = 'completeStatuses';
+
+// globalConfig path for the most characters of report JSON sent per request
+export const PAYLOAD_BUDGET_CONFIG_KEY = 'payloadBudget';
+
+// globalConfig path for whether payloads are sent deflate-compressed (see payloadEncoding.js)
+export const PAYLOAD_COMPRESSION_CONFIG_KEY = 'compressPayloads';
+
+// Field types usable by each field-based Board Plan rule
+export const BOARD_PLAN_FIELD_TYPES = {
+    checkbox: [FieldType.CHECKBOX],
+    select: [FieldType.SINGLE_SELECT],
+};
+
+/**
+ * Reads the table and field mapping from globalConfig and resolves it against the base.
+ * Anything that is unset or no longer exists resolves to null.
+ */
+export const useSettings = () => {
+    const base = useBase();
+    const globalConfig = useGlobalConfig();
+
+    const tables = {};
+    for (const setting of TABLE_SETTINGS) {
+        const tableId = globalConfig.get(getTableConfigKey(setting.key));
+        tables[setting.key] = tableId ? base.getTableByIdIfExists(tableId) : null;
+    }
+
+    // Hierarchy levels, top to bottom, with their tables and link fields resolved
+    const levelSettings = globalConfig.get(HIERARCHY_CONFIG_KEY) || getLegacyLevelSettings(globalConfig);
+    const hierarchy = levelSettings.map(level => {
+        const table = level.tableId ? base.getTableByIdIfExists(level.tableId) : null;
+        const getField = (fieldId) => (table && fieldId ? table.getFieldByIdIfExists(fieldId) : null);
+
+        return {
+            key: level.key,
+            label: level.label,
+            table,
+            parentLinkField: getField(level.parentLinkFieldId),
+            skipLinks: (level.skipLinks || [])
+                .filter(skipLink => skipLink.fieldId)
+                .map(skipLink => ({ level: skipLink.level, field: getField(skipLink.fieldId) })),
+        };
+    });
+    tables.workplanSources = hierarchy.length > 0 ? hierarchy[0].table : null;
+    tables.activities = hierarchy.length > 0 ? hierarchy[hierarchy.length - 1].table : null;
+
+    // Plain IDs of the hierarchy, as buildRecordIndex takes them, kept stable while the hierarchy is unchanged
+    const hierarchyKey = JSON.stringify(hierarchy.map(level => [
+        level.key,
+        level.label,
+        level.table?.id,
+        level.parentLinkField?.id,
+        level.skipLinks.map(skipLink => [skipLink.level, skipLink.field?.id]),
+    ]));
+    const hierarchyIds = useMemo(() => hierarchy.map(level => ({
+        key: level.key,
+        label: level.label,
+        tableId: level.table?.id,
+        parentLinkFieldId: level.parentLinkField?.id,
+        skipLinks: level.skipLinks
+            .filter(skipLink => skipLink.field)
+            .map(skipLink => ({ level: skipLink.level, fieldId: skipLink.field.id })),
+    })), [hierarchyKey]);
+
+    const fields = {};
+    for (const setting of FIELD_SETTINGS) {
+        const table = tables[setting.table];
+        const fieldId = globalConfig.get(getFieldConfigKey(setting.key));
+        fields[setting.key] = table && fieldId ? table.getFieldByIdIfExists(fieldId) : null;
+    }
+
+    // Plain field IDs keyed like FIELD_SETTINGS, kept stable while the mapping is unchanged
+    const fieldIdsKey = FIELD_SETTINGS.map(setting => fields[setting.key]?.id || '').join(',');
+    const fieldIds = useMemo(() => {
+        const ids = {};
+        for (const setting of FIELD_SETTINGS) {
+            ids[setting.key] = fields[setting.key]?.id;
+        }
+        return ids;
+    }, [fieldIdsKey]);
+
+    // Extra fields per level, skipping any that were deleted; kept stable while the selection is unchanged
+    const extraFieldLevels = getExtraFieldLevels(hierarchy, tables);
+    const extraFieldsByLevel = {};
+    for (const level of extraFieldLevels) {
+        const table = level.table;
+        const fieldIdsForLevel = globalConfig.get(getExtraFieldsConfigKey(level.key)) || [];
+        extraFieldsByLevel[level.key] = table
+            ? fieldIdsForLevel.map(fieldId => table.getFieldByIdIfExists(fieldId)).filter(Boolean)
+            : [];
+    }
+    const extraFieldsKey = extraFieldLevels
+        .map(level => extraFieldsByLevel[level.key].map(field => `${field.id}:${field.name}`).join(','))
+        .join(';');
+    const extraFields = useMemo(() => extraFieldsByLevel, [extraFieldsKey]);
+
+    const boardPlanFieldId = globalConfig.get(BOARD_PLAN_CONFIG_KEYS.fieldId);
+    const boardPlanRule = {
+        type: globalConfig.get(BOARD_PLAN_CONFIG_KEYS.type) || 'name',
+        nameText: globalConfig.get(BOARD_PLAN_CONFIG_KEYS.nameText) || DEFAULT_BOARD_PLAN_NAME_TEXT,
+        field: tables.workplanSources && boardPlanFieldId
+            ? tables.workplanSources.getFieldByIdIfExists(boardPlanFieldId)
+            : null,
+        selectValue: globalConfig.get(BOARD_PLAN_CONFIG_KEYS.selectValue) || '',
+        recordIds: globalConfig.get(BOARD_PLAN_CONFIG_KEYS.recordIds) || NO_BOARD_PLAN_RECORD_IDS,
+    };
+
+    // The configured time zone, else the one fixed on the date-time fields, else the viewer's own
+    const configuredTimeZone = globalConfig.get(TIME_ZONE_CONFIG_KEY) || '';
+    const timeZone = configuredTimeZone ||
+        getFieldTimeZone(fields.ttaSessionsDate) ||
+        getFieldTimeZone(fields.activitiesStartDate);
+
+    // Activity statuses counted as complete in the report stats, kept stable while the setting is unchanged
+    const completeStatusesText = globalConfig.get(COMPLETE_STATUSES_CONFIG_KEY) || '';
+    const completeStatuses = useMemo(() => {
+        const statuses = completeStatusesText.split(',').map(status => status.trim()).filter(Boolean);
+        return statuses.length > 0 ? statuses : DEFAULT_COMPLETE_STATUSES;
+    }, [completeStatusesText]);
+
+    // The configured payload budget, or the full capacity of the JSON fields when unset or not a number
+    const configuredPayloadBudget = String(globalConfig.get(PAYLOAD_BUDGET_CONFIG_KEY) || '').trim();
+    const payloadBudget = Number(configuredPayloadBudget) > 0 ? Number(configuredPayloadBudget) : DEFAULT_PAYLOAD_BUDGET;
+    const compressPayloads = Boolean(globalConfig.get(PAYLOAD_COMPRESSION_CONFIG_KEY));
+
+    const isConfigured =
+        TABLE_SETTINGS.every(setting => tables[setting.key]) &&
+        hierarchy.length > 0 &&
+        hierarchy.every((level, i) => level.table && (i === 0 || level.parentLinkField)) &&
+        FIELD_SETTINGS.every(setting => setting.optional || fields[setting.key]);
+
+    return {
+        tables,
+        hierarchy,
+        hierarchyIds,
+        levelSettings,
+        fields,
+        fieldIds,
+        extraFields,
+        boardPlanRule,
+        completeStatuses,
+        configuredPayloadBudget,
+        payloadBudget,
+        compressPayloads,
+        configuredTimeZone,
+        timeZone,
+        isConfigured,
+    };
+};
@@ -0,0 +1,66 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { splitIntoChunks, createManifest, reassembleChunks, CHUNK_TRANSPORT_VERSION } from '../frontend/chunkTransport.js';
+
+// Numbers the chunks the way writeChunks stores them
+const toChunkRecords = (chunks) => chunks.map((data, i) => ({ index: i + 1, data }));
+
+const payload = JSON.stringify({ title: 'Early Literacy 📚', sessions: Array.from({ length: 40 }, (_, i) => `Session ${i} ✅`) });
+
+test('chunks are at most the chunk size and join back into the payload', () => {
+    const chunks = splitIntoChunks(payload, 64);
+    assert.ok(chunks.length > 1);
+    assert.ok(chunks.every(chunk => chunk.length <= 64));
+    assert.equal(chunks.join(''), payload);
+});
+
+test('a chunk never ends on half of a surrogate pair', () => {
+    const text = 'ab😀cd😀😀e';
+    for (let size = 2; size <= text.length; size++) {
+        const chunks = splitIntoChunks(text, size);
+        assert.equal(chunks.join(''), text);
+        for (const chunk of chunks) {
+            assert.ok(chunk.isWellFormed(), `chunk ${JSON.stringify(chunk)} of size ${size} splits a pair`);
+        }
+    }
+});
+
+test('an empty payload has no chunks', () => {
+    assert.deepEqual(splitIntoChunks(''), []);
+});
+
+test('chunks reassemble in any order and match the manifest', async () => {
+    const chunks = splitIntoChunks(payload, 50);
+    const manifest = await createManifest(payload, chunks, 'compact-v2', 'identity');
+    assert.equal(manifest.version, CHUNK_TRANSPORT_VERSION);
+    assert.equal(manifest.chunkCount, chunks.length);
+    assert.equal(manifest.totalLength, payload.length);
+
+    const shuffled = toChunkRecords(chunks).reverse();
+    assert.equal(await reassembleChunks(shuffled, manifest), payload);
+});
+
+test('reassembly rejects missing, duplicated and altered chunks', async () => {
+    const chunks = splitIntoChunks(payload, 50);
+    const manifest = await createManifest(payload, chunks, 'compact-v2');
+    const records = toChunkRecords(chunks);
+
+    await assert.rejects(reassembleChunks(records.slice(1), manifest), /Expected \d+ chunks/);
+    await assert.rejects(reassembleChunks([records[0], ...records.slice(0, -1)], manifest), /Chunk 2 is missing or duplicated/);
+
+    const altered = records.map(chunk => (chunk.index === 2 ? { ...chunk, data: chunk.data.replace(/.$/, '?') } : chunk));
+    await assert.rejects(reassembleChunks(altered, manifest), /checksum/);
+
+    const shortened = records.map(chunk => (chunk.index === 2 ? { ...chunk, data: chunk.data.slice(1) } : chunk));
+    await assert.rejects(reassembleChunks(shortened, manifest), /characters/);
+});
+
+test('reassembly reads version 1 manifests and rejects unknown versions', async () => {
+    const chunks = splitIntoChunks(payload, 50);
+    const { contentEncoding, ...manifest } = await createManifest(payload, chunks, 'full-v2');
+    assert.equal(contentEncoding, 'identity');
+
+    assert.equal(await reassembleChunks(toChunkRecords(chunks), { ...manifest, version: 1 }), payload);
+    await assert.rejects(reassembleChunks(toChunkRecords(chunks), { ...manifest, version: 99 }), /Unsupported chunk manifest version: 99/);
+    await assert.rejects(reassembleChunks(toChunkRecords(chunks), null), /Unsupported chunk manifest version: none/);
+});
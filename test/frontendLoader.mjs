@@ -0,0 +1,17 @@
+/**
+ * Node module hooks for the frontend's ES modules: they import each other without a file
+ * extension, and live in .js files that package.json does not mark as modules.
+ */
+export const resolve = (specifier, context, nextResolve) => {
+    if (/^\.\.?\//.test(specifier) && !/\.(m?js|json)$/.test(specifier)) {
+        return nextResolve(`${specifier}.js`, context);
+    }
+    return nextResolve(specifier, context);
+};
+
+export const load = (url, context, nextLoad) => {
+    if (url.includes('/frontend/') && url.endsWith('.js')) {
+        return nextLoad(url, { ...context, format: 'module' });
+    }
+    return nextLoad(url, context);
+};
@@ -0,0 +1,167 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport } from '../frontend/buildHierarchy.js';
+import { buildRecordIndex } from '../frontend/recordIndex.js';
+import { jsonRecordAdapter } from '../frontend/recordAdapter.js';
+import { encodePayload, decodePayload } from '../frontend/payloadFormat.js';
+import { fitPayloadToBudget } from '../frontend/payloadBudget.js';
+import { decodeContent } from '../frontend/payloadEncoding.js';
+
+const record = (id, name, fields = {}) => ({ id, name, fields });
+
+const hierarchy = [
+    { key: 'workplanSource', label: 'Workplan Source' },
+    { key: 'objective', label: 'Objective', parentLinkFieldId: 'objectiveSource' },
+    { key: 'activity', label: 'Activity', parentLinkFieldId: 'activityObjective' },
+];
+const fields = {
+    activitiesStartDate: 'start',
+    activitiesEndDate: 'end',
+    ttaSessionsLink: 'sessionActivities',
+    ttaSessionsDate: 'sessionDate',
+    ttaSummaryForAI: 'summary',
+};
+
+// One objective with two activities: the first has January sessions, the second the December before,
+// so the objective's rolled-up list is newest month first
+const dayKey = (year, month, day) => `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+const sessionsFor = (activityId, year, month) => Array.from({ length: 25 }, (_, i) => record(
+    `${activityId}-s${i + 1}`,
+    `Session ${i + 1}`,
+    { sessionActivities: [activityId], sessionDate: dayKey(year, month, i + 1), summary: `Worked on item ${i + 1} with the team` }
+));
+const levels = {
+    workplanSource: [record('ws1', 'Early Literacy')],
+    objective: [record('o1', 'Coaching', { objectiveSource: ['ws1'] })],
+    activity: [
+        record('a1', 'Coach teachers', { activityObjective: ['o1'], start: '2024-12-01', end: '2025-01-31' }),
+        record('a2', 'Train coaches', { activityObjective: ['o1'], start: '2024-12-01', end: '2025-01-31' }),
+    ],
+};
+const ttaSessions = [...sessionsFor('a1', 2025, 1), ...sessionsFor('a2', 2024, 12)];
+const recordIndex = buildRecordIndex({ levels, ttaSessions }, hierarchy, fields, jsonRecordAdapter);
+
+const buildObjectiveReport = () => buildReport({
+    hierarchy,
+    fields,
+    mode: { isBoardPlanSource: () => false },
+    tables: { workplanSource: 'tblSources', objective: 'tblObjectives', activity: 'tblActivities' },
+    records: { levels, ttaSessions },
+    adapter: jsonRecordAdapter,
+    recordIndex,
+    levels: { selections: [{ level: 'workplanSource', recordId: 'ws1' }], bottom: 'objective' },
+}).tree;
+
+const findNode = (node, recordId) => {
+    if (node.recordId === recordId) return node;
+    for (const child of node.children || []) {
+        const found = findNode(child, recordId);
+        if (found) return found;
+    }
+    return null;
+};
+
+test('session sampling keeps the most recent sessions of a node rolled up from several activities', async () => {
+    const tree = buildObjectiveReport();
+    const sessionDates = findNode(tree, 'o1').ttaSessions.map(session => session.date);
+    assert.equal(sessionDates.length, 50);
+    assert.equal(sessionDates[0], '2025-01-01', 'the fixture rolls up the January activity first');
+
+    // One character short of the compact tree, so the first sampling round is enough
+    const budget = encodePayload(tree, 'compact').length - 1;
+    const plan = await fitPayloadToBudget(tree, budget);
+    assert.ok(plan.fits);
+    assert.deepEqual(plan.reductions.map(reduction => reduction.step), ['sampleSessions']);
+
+    const keptDates = findNode(decodePayload(plan.json), 'o1').ttaSessions.map(session => session.date);
+    const mostRecent = [...sessionDates].sort().slice(-20);
+    assert.deepEqual([...keptDates].sort(), mostRecent);
+});
+
+// The objective report with one session summary too long to send whole
+const buildReportWithLongSummary = () => {
+    const tree = buildObjectiveReport();
+    findNode(tree, 'o1').ttaSessions[0].summary = 'Long notes. '.repeat(300);
+    return tree;
+};
+
+test('a report within the budget is sent pretty-printed and whole', async () => {
+    const tree = buildObjectiveReport();
+    const plan = await fitPayloadToBudget(tree);
+
+    assert.ok(plan.fits);
+    assert.equal(plan.encoding, 'full');
+    assert.equal(plan.formatId, 'full-v2');
+    assert.equal(plan.content, plan.json);
+    assert.match(plan.json, /\n {2}"/);
+    assert.deepEqual(plan.reductions, []);
+    assert.deepEqual(decodePayload(plan.json), tree);
+});
+
+test('a report is made compact before anything is dropped', async () => {
+    const tree = buildObjectiveReport();
+    const plan = await fitPayloadToBudget(tree, encodePayload(tree, 'compact').length);
+
+    assert.ok(plan.fits);
+    assert.equal(plan.encoding, 'compact');
+    assert.equal(plan.formatId, 'compact-v2');
+    assert.deepEqual(plan.reductions, []);
+    assert.deepEqual(decodePayload(plan.json), tree);
+});
+
+test('long texts are trimmed before sessions are dropped, and the tree passed in is kept', async () => {
+    const tree = buildReportWithLongSummary();
+    const original = JSON.stringify(tree);
+    const plan = await fitPayloadToBudget(tree, encodePayload(tree, 'compact').length - 1);
+
+    assert.ok(plan.fits);
+    assert.deepEqual(plan.reductions.map(reduction => reduction.step), ['trimTexts']);
+    assert.match(plan.reductions[0].description, /^Trimmed 1 session summaries and comments to 2,000 characters$/);
+    const summary = findNode(decodePayload(plan.json), 'o1').ttaSessions[0].summary;
+    assert.equal(summary, `${'Long notes. '.repeat(300).slice(0, 2000)}… [trimmed]`);
+    assert.equal(JSON.stringify(tree), original);
+});
+
+test('sessions are sampled down round by round, and what was dropped is listed', async () => {
+    const tree = buildObjectiveReport();
+    const plan = await fitPayloadToBudget(tree, 2000);
+
+    assert.ok(plan.fits, `${plan.rawLength} characters`);
+    const keptDates = findNode(decodePayload(plan.json), 'o1').ttaSessions.map(session => session.date);
+    const sampling = plan.reductions.find(reduction => reduction.step === 'sampleSessions');
+    assert.ok(sampling);
+    assert.equal(sampling.description, `Kept only the ${keptDates.length} most recent T/TA session${keptDates.length > 1 ? 's' : ''} per record, dropping ${50 - keptDates.length} older ones`);
+    assert.deepEqual(keptDates, keptDates.filter(date => date >= '2025-01-01'));
+});
+
+test('a report that cannot be reduced enough is returned as small as it got, marked as not fitting', async () => {
+    const plan = await fitPayloadToBudget(buildReportWithLongSummary(), 100);
+
+    assert.equal(plan.fits, false);
+    assert.equal(plan.encoding, 'compact');
+    assert.deepEqual(plan.reductions.map(reduction => reduction.step), ['trimTexts', 'sampleSessions']);
+    assert.equal(findNode(decodePayload(plan.json), 'o1').ttaSessions.length, 1);
+});
+
+test('compression changes what is sent, not what is trimmed', async () => {
+    const tree = buildReportWithLongSummary();
+    const budget = encodePayload(tree, 'compact').length - 1;
+    const plain = await fitPayloadToBudget(tree, budget);
+    const compressed = await fitPayloadToBudget(tree, budget, { compress: true });
+
+    assert.equal(compressed.contentEncoding, 'deflate-base64');
+    assert.equal(compressed.json, plain.json);
+    assert.deepEqual(compressed.reductions, plain.reductions);
+    assert.equal(compressed.rawLength, compressed.json.length);
+    assert.equal(compressed.length, compressed.content.length);
+    assert.ok(compressed.length < compressed.rawLength);
+    assert.equal(await decodeContent(compressed.content, compressed.contentEncoding), compressed.json);
+});
+
+test('a compressed report within the budget skips pretty-printing', async () => {
+    const plan = await fitPayloadToBudget(buildObjectiveReport(), undefined, { compress: true });
+
+    assert.ok(plan.fits);
+    assert.equal(plan.encoding, 'full');
+    assert.doesNotMatch(plan.json, /\n/);
+});
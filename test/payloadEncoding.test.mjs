@@ -0,0 +1,31 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { encodeContent, decodeContent, CONTENT_ENCODINGS } from '../frontend/payloadEncoding.js';
+
+// Repetitive like a report payload, with text outside ASCII, and long enough to need several base64 slices
+const json = JSON.stringify({
+    nodes: Array.from({ length: 2000 }, (_, i) => ({ type: 'activity', name: `Activity ${i} — café 📚`, sessions: [] })),
+});
+
+for (const contentEncoding of CONTENT_ENCODINGS) {
+    test(`payload JSON survives the ${contentEncoding} content encoding`, async () => {
+        const content = await encodeContent(json, contentEncoding);
+        assert.equal(await decodeContent(content, contentEncoding), json);
+    });
+}
+
+test('identity leaves the JSON as is, and is assumed when no encoding is given', async () => {
+    assert.equal(await encodeContent(json), json);
+    assert.equal(await decodeContent(json), json);
+});
+
+test('deflate-base64 gives base64 text much shorter than repetitive JSON', async () => {
+    const content = await encodeContent(json, 'deflate-base64');
+    assert.match(content, /^[A-Za-z0-9+/]+=*$/);
+    assert.ok(content.length < json.length / 5, `${content.length} characters from ${json.length}`);
+});
+
+test('unknown content encodings are rejected', async () => {
+    await assert.rejects(encodeContent(json, 'gzip'), /Unknown content encoding: gzip/);
+    await assert.rejects(decodeContent(json, 'gzip'), /Unknown content encoding: gzip/);
+});
@@ -0,0 +1,91 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildReport } from '../frontend/buildHierarchy.js';
+import { buildRecordIndex } from '../frontend/recordIndex.js';
+import { jsonRecordAdapter } from '../frontend/recordAdapter.js';
+import { encodePayload, decodePayload, PAYLOAD_ENCODINGS } from '../frontend/payloadFormat.js';
+
+const record = (id, name, fields = {}) => ({ id, name, fields });
+
+// Two workplan sources (one a Board Plan), one without goals, and a session shared between sources
+const hierarchy = [
+    { key: 'workplanSource', label: 'Workplan Source' },
+    { key: 'goal', label: 'Goal', parentLinkFieldId: 'goalSource' },
+    { key: 'objective', label: 'Objective', parentLinkFieldId: 'objectiveGoal', skipLinks: [{ level: 'workplanSource', fieldId: 'objectiveSource' }] },
+    { key: 'activity', label: 'Activity', parentLinkFieldId: 'activityObjective' },
+];
+const levels = {
+    workplanSource: [record('ws1', 'Early Literacy'), record('ws2', 'Board Plan 2025'), record('ws3', 'Family Engagement')],
+    goal: [record('g1', 'Readers', { goalSource: ['ws1'], goalNotes: 'Grade 3' }), record('g2', 'Governance', { goalSource: ['ws2'] })],
+    objective: [
+        record('o1', 'Coaching', { objectiveGoal: ['g1'] }),
+        record('o2', 'Policy', { objectiveGoal: ['g2'] }),
+        record('o3', 'Outreach', { objectiveSource: ['ws3'] }),
+    ],
+    activity: [
+        record('a1', 'Coach teachers', { activityObjective: ['o1'], start: '2025-01-01', end: '2025-06-30', status: 'In progress' }),
+        record('a2', 'Adopt policy', { activityObjective: ['o2'], start: '2025-01-01', end: '2025-03-31', status: 'Done', comments: 'Adopted in March' }),
+        record('a3', 'Home visits', { activityObjective: ['o3'], start: '2025-02-01', end: '2025-05-31' }),
+    ],
+};
+const ttaSessions = [
+    record('s1', 'Session 1', { sessionActivities: ['a1', 'a3'], sessionDate: '2025-01-15', summary: 'Modeled a lesson 📚', recipient: ['r1'] }),
+    record('s2', 'Session 2', { sessionActivities: ['a1'], sessionDate: '2025-02-20', summary: 'Observed "small groups"', recipient: ['r2'] }),
+    record('s3', 'Session 3', { sessionActivities: ['a3'], sessionDate: '2025-03-05', summary: 'Planned visits', recipient: ['r1'] }),
+];
+const fields = {
+    activitiesStartDate: 'start',
+    activitiesEndDate: 'end',
+    activitiesStatus: 'status',
+    activitiesComments: 'comments',
+    ttaSessionsLink: 'sessionActivities',
+    ttaSessionsDate: 'sessionDate',
+    ttaSummaryForAI: 'summary',
+};
+const recordIndex = buildRecordIndex({ levels, ttaSessions }, hierarchy, fields, jsonRecordAdapter);
+
+const buildTree = (options) => buildReport({
+    hierarchy,
+    fields,
+    mode: { isBoardPlanSource: source => source.name.startsWith('Board Plan') },
+    tables: { workplanSource: 'tblSources', goal: 'tblGoals', objective: 'tblObjectives', activity: 'tblActivities' },
+    extraFields: { goal: [{ id: 'goalNotes', name: 'Notes' }] },
+    records: { levels, ttaSessions },
+    adapter: jsonRecordAdapter,
+    recordIndex,
+    ...options,
+}).tree;
+
+const reports = {
+    'one workplan source': { levels: { selections: [{ level: 'workplanSource', recordId: 'ws1' }], bottom: 'activity' } },
+    'combined Board Plan and T/TA sources': {
+        levels: {
+            selections: [
+                { level: 'workplanSource', recordId: 'ws1' },
+                { level: 'workplanSource', recordId: 'ws2' },
+                { level: 'workplanSource', recordId: 'ws3' },
+            ],
+            bottom: 'activity',
+        },
+    },
+    'rolled up to goals, within a date range': {
+        levels: { selections: [{ level: 'workplanSource', recordId: 'ws1' }, { level: 'workplanSource', recordId: 'ws2' }], bottom: 'goal' },
+        range: { startDate: '2025-02-01', endDate: '2025-12-31' },
+    },
+    'dimension value': {
+        levels: { bottom: 'activity' },
+        dimension: { fieldId: 'recipient', fieldName: 'Recipient', tableId: 'tblRecipients', value: { id: 'r1', name: 'District 1' } },
+    },
+};
+
+for (const [name, options] of Object.entries(reports)) {
+    for (const encoding of PAYLOAD_ENCODINGS) {
+        test(`${name} survives the ${encoding} encoding`, () => {
+            const tree = buildTree(options);
+            assert.ok(tree, 'the fixture builds a report');
+
+            const payload = encodePayload(tree, encoding, { hierarchy });
+            assert.deepEqual(decodePayload(payload), tree);
+        });
+    }
+}
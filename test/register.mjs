@@ -0,0 +1,4 @@
+// Lets Node load the frontend modules the way the Blocks bundler does (see frontendLoader.mjs)
+import { register } from 'node:module';
+
+register('./frontendLoader.mjs', import.meta.url);